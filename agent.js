@@ -1,5 +1,14 @@
 'use strict';
 
+// Node: there are no <script> tags sharing globals, so pull in what this
+// file uses from the files index.html loads before it.
+if (typeof module !== 'undefined' && module.exports) {
+  Object.assign(
+    globalThis,
+    require('./env.js'), require('./exploration.js'), require('./planner.js'), require('./dqn.js'),
+  );
+}
+
 /**
  * RandomAgent — picks a uniformly random action every step.
  *
@@ -8,29 +17,57 @@
  *
  * The agent interface is:
  *   - act(state) → action    (choose what to do)
- *   - learn(state, action, reward, nextState, done)  (update internal state)
+ *   - learn(state, action, reward, nextState, terminated, nextAction)  (update internal state)
+ *
+ * `terminated` is true only when the episode really ended (goal or pit).
+ * A timeout is a truncation, not a termination: the next state still has
+ * a future, so learners should keep bootstrapping from it.
+ *
+ * `nextAction` is the action the agent has already chosen for nextState
+ * (null after termination). Episode loops call act(nextState) BEFORE
+ * learn(), so on-policy agents like SARSA can learn from the action they
+ * will really take. Off-policy agents simply ignore it.
+ *
+ *   - endEpisode()  (called once after every episode, however it ended)
+ *
+ * Agents that keep per-episode state (eligibility traces, buffered
+ * returns) tidy up there; for the rest it's a no-op.
  *
  * RandomAgent.learn() is a no-op — it doesn't learn. But we define the
  * interface now so that Q-learning can drop in later with the same API.
+ *
+ * Every agent takes an optional `rng` (see rng.js) for all its random
+ * choices, so a seeded run is exactly repeatable.
  */
 
 class RandomAgent {
-  constructor() {
+  constructor({ rng = Math.random } = {}) {
     this.name = 'Random';
+    this.rng = rng;
   }
 
   act(_state) {
-    return Math.floor(Math.random() * NUM_ACTIONS);
+    return Math.floor(this.rng() * NUM_ACTIONS);
+  }
+
+  learn(_state, _action, _reward, _nextState, _terminated, _nextAction) {}
+
+  endEpisode() {}
+
+  /** Learned state, as plain data that can be posted to a worker. Nothing to save here. */
+  snapshot() {
+    return {};
   }
 
-  learn(_state, _action, _reward, _nextState, _done) {}
+  restore(_snapshot) {}
 }
 
 /**
  * QLearningAgent — tabular Q-learning with epsilon-greedy exploration.
  *
  * The Q-table maps each (row, col) state to an array of 4 action values.
- * All values start at 0.
+ * All values start at 0 (or at the exploration strategy's initialQ, for
+ * optimistic initial values).
  *
  * On each step the agent updates one entry using the Bellman equation:
  *
@@ -43,54 +80,51 @@ class RandomAgent {
  *   α (alpha)   — learning rate.  How fast we update. 0 = never learn, 1 = overwrite.
  *   γ (gamma)   — discount factor. How much we value future reward. 0 = myopic, 1 = patient.
  *   ε (epsilon) — exploration rate. Probability of picking a random action instead of the best.
+ *
+ * Exploration is delegated to a strategy object (exploration.js): pass
+ * `exploration` as a spec for createExploration() to use decaying ε,
+ * Boltzmann, UCB or optimistic initial values instead. Without one, the
+ * `epsilon` option gives plain epsilon-greedy.
  */
 
 class QLearningAgent {
-  constructor(rows, cols, { alpha = 0.1, gamma = 0.95, epsilon = 0.1 } = {}) {
+  constructor(rows, cols, {
+    alpha = 0.1, gamma = 0.95, epsilon = 0.1, exploration = null, rng = Math.random,
+  } = {}) {
     this.name = 'Q-Learning';
     this.rows = rows;
     this.cols = cols;
     this.alpha = alpha;
     this.gamma = gamma;
-    this.epsilon = epsilon;
+    this.exploration = createExploration(exploration || { strategy: 'epsilon', epsilon });
+    this.rng = rng;
 
-    // Q-table: q[row][col][action] = value.  Initialized to 0.
+    // Q-table: q[row][col][action] = value.  Initialized to 0 (or initialQ).
     this.q = [];
     for (let r = 0; r < rows; r++) {
       this.q[r] = [];
       for (let c = 0; c < cols; c++) {
-        this.q[r][c] = new Float64Array(NUM_ACTIONS); // [0, 0, 0, 0]
+        this.q[r][c] = new Float64Array(NUM_ACTIONS).fill(this.exploration.initialQ);
       }
     }
 
     this.totalUpdates = 0;
   }
 
-  /** Epsilon-greedy action selection. */
+  /** Pick an action with the exploration strategy (epsilon-greedy by default). */
   act(state) {
     const [r, c] = state;
+    return this.exploration.select(this._actionValues(r, c), this.rng, r * this.cols + c);
+  }
 
-    // With probability epsilon, explore (random action)
-    if (Math.random() < this.epsilon) {
-      return Math.floor(Math.random() * NUM_ACTIONS);
-    }
-
-    // Otherwise, exploit: pick the action with highest Q-value.
-    // Break ties randomly.
-    const qValues = this.q[r][c];
-    let bestVal = qValues[0];
-    let bestActions = [0];
-
-    for (let a = 1; a < NUM_ACTIONS; a++) {
-      if (qValues[a] > bestVal) {
-        bestVal = qValues[a];
-        bestActions = [a];
-      } else if (qValues[a] === bestVal) {
-        bestActions.push(a);
-      }
-    }
+  /** The values act() is greedy with respect to. */
+  _actionValues(row, col) {
+    return this.q[row][col];
+  }
 
-    return bestActions[Math.floor(Math.random() * bestActions.length)];
+  /** Action probabilities of the exploration policy in a cell (for the policy overlay). */
+  getPolicy(row, col) {
+    return this.exploration.probabilities(this._actionValues(row, col), row * this.cols + col);
   }
 
   /**
@@ -99,15 +133,23 @@ class QLearningAgent {
    * The key insight: we don't need to know the environment's rules.
    * We just observe what happened (s, a, r, s') and update our estimate.
    */
-  learn(state, action, reward, nextState, done) {
+  learn(state, action, reward, nextState, terminated) {
     const [r, c] = state;
     const [nr, nc] = nextState;
+    this._update(r, c, action, reward, nr, nc, terminated);
+  }
 
+  /**
+   * The Bellman update for one transition (r, c) --action--> (nr, nc).
+   * Shared with agents that replay remembered transitions (Dyna-Q).
+   */
+  _update(r, c, action, reward, nr, nc, terminated) {
     const currentQ = this.q[r][c][action];
 
-    // If the episode ended, there's no future reward
+    // If the episode really ended, there's no future reward. A timeout
+    // (truncation) is not an ending of the task, so we still bootstrap.
     let target;
-    if (done) {
+    if (terminated) {
       target = reward;
     } else {
       // Future value = best we can do from the next state
@@ -122,6 +164,11 @@ class QLearningAgent {
     this.totalUpdates++;
   }
 
+  /** Every update is one step; only the exploration schedule moves on. */
+  endEpisode() {
+    this.exploration.endEpisode();
+  }
+
   /** Get the Q-values for a specific cell (for visualization). */
   getQ(row, col) {
     return Array.from(this.q[row][col]);
@@ -133,15 +180,778 @@ class QLearningAgent {
     return Math.max(qv[0], qv[1], qv[2], qv[3]);
   }
 
-  /** Reset Q-table to zeros. */
+  /** Reset Q-table to zeros (or initialQ) and restart the exploration schedule. */
   resetQ() {
     for (let r = 0; r < this.rows; r++) {
       for (let c = 0; c < this.cols; c++) {
-        this.q[r][c].fill(0);
+        this.q[r][c].fill(this.exploration.initialQ);
       }
     }
+    this.exploration.reset();
     this.totalUpdates = 0;
   }
+
+  /**
+   * Learned state (Q-table, update count, exploration progress) as plain
+   * data that can be posted to a worker.
+   */
+  snapshot() {
+    return { q: this.q, totalUpdates: this.totalUpdates, exploration: this.exploration.snapshot() };
+  }
+
+  /** Load a snapshot taken from an agent with the same table shape. */
+  restore({ q, totalUpdates, exploration }) {
+    this.q = q;
+    this.totalUpdates = totalUpdates;
+    if (exploration) this.exploration.restore(exploration);
+  }
+}
+
+/**
+ * SarsaAgent — on-policy TD control. Same Q-table, same epsilon-greedy act(),
+ * but the target uses the action the agent ACTUALLY takes next:
+ *
+ *   Q(s, a) ← Q(s, a) + α · [ r + γ · Q(s', a') − Q(s, a) ]
+ *
+ * where a' is chosen by the same epsilon-greedy policy. Because exploration
+ * is baked into the target, SARSA learns the value of the policy it follows
+ * (risky moves near a pit look worse), while Q-learning learns the value of
+ * the greedy policy it would follow if it stopped exploring.
+ */
+
+class SarsaAgent extends QLearningAgent {
+  constructor(rows, cols, options = {}) {
+    super(rows, cols, options);
+    this.name = 'SARSA';
+  }
+
+  learn(state, action, reward, nextState, terminated, nextAction) {
+    const [r, c] = state;
+    const [nr, nc] = nextState;
+
+    const currentQ = this.q[r][c][action];
+    const target = terminated
+      ? reward
+      : reward + this.gamma * this.q[nr][nc][nextAction];
+
+    this.q[r][c][action] = currentQ + this.alpha * (target - currentQ);
+    this.totalUpdates++;
+  }
+}
+
+/**
+ * ExpectedSarsaAgent — like SARSA, but instead of the one sampled a' it uses
+ * the expected value under the exploration policy:
+ *
+ *   Q(s, a) ← Q(s, a) + α · [ r + γ · Σ_a' π(a'|s') Q(s', a') − Q(s, a) ]
+ *
+ *   π(a'|s') = ε/4 for every action, plus (1 − ε) shared among the greedy ones
+ *              (for epsilon-greedy; other strategies supply their own π).
+ *
+ * Same on-policy answer as SARSA with less noise in the update.
+ */
+
+class ExpectedSarsaAgent extends QLearningAgent {
+  constructor(rows, cols, options = {}) {
+    super(rows, cols, options);
+    this.name = 'Expected SARSA';
+  }
+
+  /** Expected Q-value of a cell under the current exploration policy. */
+  _expectedQ(row, col) {
+    const qv = this.q[row][col];
+    const probs = this.getPolicy(row, col);
+    let expected = 0;
+    for (let a = 0; a < NUM_ACTIONS; a++) expected += probs[a] * qv[a];
+    return expected;
+  }
+
+  learn(state, action, reward, nextState, terminated) {
+    const [r, c] = state;
+    const [nr, nc] = nextState;
+
+    const currentQ = this.q[r][c][action];
+    const target = terminated
+      ? reward
+      : reward + this.gamma * this._expectedQ(nr, nc);
+
+    this.q[r][c][action] = currentQ + this.alpha * (target - currentQ);
+    this.totalUpdates++;
+  }
+}
+
+/**
+ * DoubleQAgent — Double Q-learning, which fixes Q-learning's optimism.
+ *
+ * Q-learning's target uses max_a' Q(s', a'). When the estimates are noisy,
+ * the max picks whichever action happens to be overestimated, so values are
+ * biased upward (maximization bias). Double Q-learning keeps two tables and,
+ * on each step, flips a coin to pick which one to update. The updated table
+ * chooses the best next action, the other one says what it's worth:
+ *
+ *   Q_A(s, a) ← Q_A(s, a) + α · [ r + γ · Q_B(s', argmax_a' Q_A(s', a')) − Q_A(s, a) ]
+ *
+ * (and the same with A and B swapped). The noise in the two tables is
+ * independent, so the choice and the evaluation no longer share the same
+ * lucky overestimate.
+ *
+ * The agent acts epsilon-greedily on the average of the two tables. `q` is
+ * table A and `qB` is table B; getQ(row, col, table) returns either one or
+ * the average (the default), so the overlay can show each.
+ */
+
+class DoubleQAgent extends QLearningAgent {
+  constructor(rows, cols, options = {}) {
+    super(rows, cols, options);
+    this.name = 'Double Q-Learning';
+
+    this.qB = [];
+    for (let r = 0; r < rows; r++) {
+      this.qB[r] = [];
+      for (let c = 0; c < cols; c++) {
+        this.qB[r][c] = new Float64Array(NUM_ACTIONS).fill(this.exploration.initialQ);
+      }
+    }
+  }
+
+  _actionValues(row, col) {
+    return this.getQ(row, col);
+  }
+
+  learn(state, action, reward, nextState, terminated) {
+    const [r, c] = state;
+    const [nr, nc] = nextState;
+
+    // Coin flip: update A (evaluated by B) or B (evaluated by A)
+    const [update, evaluate] = this.rng() < 0.5 ? [this.q, this.qB] : [this.qB, this.q];
+
+    const currentQ = update[r][c][action];
+    let target = reward;
+    if (!terminated) {
+      const next = update[nr][nc];
+      let best = 0;
+      for (let a = 1; a < NUM_ACTIONS; a++) {
+        if (next[a] > next[best]) best = a;
+      }
+      target += this.gamma * evaluate[nr][nc][best];
+    }
+
+    update[r][c][action] = currentQ + this.alpha * (target - currentQ);
+    this.totalUpdates++;
+  }
+
+  /**
+   * Q-values of a cell from table 'a', table 'b', or their 'average'.
+   * Other agents ignore the third argument, so the renderer can always pass it.
+   */
+  getQ(row, col, table = 'average') {
+    if (table === 'a') return Array.from(this.q[row][col]);
+    if (table === 'b') return Array.from(this.qB[row][col]);
+    const qa = this.q[row][col];
+    const qb = this.qB[row][col];
+    return [0, 1, 2, 3].map(a => (qa[a] + qb[a]) / 2);
+  }
+
+  getMaxQ(row, col, table = 'average') {
+    return Math.max(...this.getQ(row, col, table));
+  }
+
+  resetQ() {
+    super.resetQ();
+    for (let r = 0; r < this.rows; r++) {
+      for (let c = 0; c < this.cols; c++) {
+        this.qB[r][c].fill(this.exploration.initialQ);
+      }
+    }
+  }
+
+  snapshot() {
+    return { ...super.snapshot(), qB: this.qB };
+  }
+
+  restore(snapshot) {
+    super.restore(snapshot);
+    this.qB = snapshot.qB;
+  }
+}
+
+/**
+ * TraceAgent — Q(λ) and SARSA(λ): TD learning with eligibility traces.
+ *
+ * A one-step update only fixes the value of the state you just left, so a
+ * reward at the goal creeps back one cell per episode. Traces remember
+ * which (s, a) pairs led here, and every TD error is shared among them:
+ *
+ *   δ = r + γ · Q(s', a*) − Q(s, a)          (a* = greedy for Q(λ), a' for SARSA(λ))
+ *   e(s, a) ← e(s, a) + 1   (accumulating)   or   e(s, a) ← 1   (replacing)
+ *   for every (s, a):  Q(s, a) ← Q(s, a) + α · δ · e(s, a)
+ *                      e(s, a) ← γ · λ · e(s, a)
+ *
+ * λ = 0 is plain one-step learning; λ → 1 approaches Monte Carlo.
+ *
+ * Q(λ) uses Watkins' cutoff: traces only make sense while the agent follows
+ * the greedy policy, so they're wiped whenever it takes an exploratory
+ * (non-greedy) action. SARSA(λ) is on-policy and never cuts.
+ *
+ * Only cells with a live trace are visited each step, so long corridors in
+ * big mazes stay cheap.
+ */
+
+const TRACE_EPSILON = 1e-4; // traces below this are dropped
+
+class TraceAgent extends QLearningAgent {
+  /**
+   * @param {number} rows
+   * @param {number} cols
+   * @param {object} [options] - QLearningAgent options plus:
+   * @param {number} [options.lambda=0.8] - trace decay
+   * @param {'accumulating'|'replacing'} [options.traceType='replacing']
+   * @param {'watkins'|'sarsa'} [options.mode='watkins'] - Q(λ) or SARSA(λ)
+   */
+  constructor(rows, cols, { lambda = 0.8, traceType = 'replacing', mode = 'watkins', ...options } = {}) {
+    super(rows, cols, options);
+    this.name = mode === 'sarsa' ? 'SARSA(λ)' : 'Q(λ)';
+    this.lambda = lambda;
+    this.traceType = traceType;
+    this.mode = mode;
+
+    // e[row][col][action], same shape as q
+    this.e = [];
+    for (let r = 0; r < rows; r++) {
+      this.e[r] = [];
+      for (let c = 0; c < cols; c++) {
+        this.e[r][c] = new Float64Array(NUM_ACTIONS);
+      }
+    }
+    this.active = new Set(); // cell keys (row * cols + col) with a live trace
+  }
+
+  learn(state, action, reward, nextState, terminated, nextAction) {
+    const [r, c] = state;
+    const [nr, nc] = nextState;
+    const nextQ = this.q[nr][nc];
+    const maxNextQ = Math.max(nextQ[0], nextQ[1], nextQ[2], nextQ[3]);
+
+    let target;
+    if (terminated) {
+      target = reward;
+    } else if (this.mode === 'sarsa') {
+      target = reward + this.gamma * nextQ[nextAction];
+    } else {
+      target = reward + this.gamma * maxNextQ;
+    }
+    const delta = target - this.q[r][c][action];
+
+    // Mark (s, a) as eligible
+    if (this.traceType === 'accumulating') {
+      this.e[r][c][action] += 1;
+    } else {
+      this.e[r][c][action] = 1;
+    }
+    this.active.add(r * this.cols + c);
+
+    // Watkins: an exploratory next action breaks the greedy chain
+    const cut = terminated ||
+      (this.mode === 'watkins' && nextAction !== null && nextQ[nextAction] !== maxNextQ);
+    const decay = this.gamma * this.lambda;
+
+    for (const key of this.active) {
+      const tr = Math.floor(key / this.cols);
+      const tc = key % this.cols;
+      const q = this.q[tr][tc];
+      const e = this.e[tr][tc];
+      let live = false;
+      for (let a = 0; a < NUM_ACTIONS; a++) {
+        if (e[a] === 0) continue;
+        q[a] += this.alpha * delta * e[a];
+        e[a] = cut ? 0 : e[a] * decay;
+        if (e[a] < TRACE_EPSILON) e[a] = 0;
+        else live = true;
+      }
+      if (!live) this.active.delete(key);
+    }
+
+    this.totalUpdates++;
+  }
+
+  /** Traces belong to one episode; a timeout must not leak them into the next. */
+  endEpisode() {
+    super.endEpisode();
+    this.clearTraces();
+  }
+
+  clearTraces() {
+    for (const key of this.active) {
+      this.e[Math.floor(key / this.cols)][key % this.cols].fill(0);
+    }
+    this.active.clear();
+  }
+
+  /** Largest trace among a cell's actions (for the trace overlay). */
+  getTrace(row, col) {
+    const e = this.e[row][col];
+    return Math.max(e[0], e[1], e[2], e[3]);
+  }
+
+  resetQ() {
+    super.resetQ();
+    this.clearTraces();
+  }
+}
+
+/**
+ * DynaQAgent — Q-learning plus a learned model of the world, used to plan.
+ *
+ * Every real step (s, a) → (r, s', terminated) is stored in a model (the
+ * grid is deterministic unless slippery, so the latest outcome is kept).
+ * After the real Q-learning update, the agent "imagines" planningSteps
+ * more updates: pick a remembered (s, a) at random, look up what happened,
+ * and apply the same Bellman update as if it had just happened again.
+ * Each real step therefore teaches many lessons.
+ *
+ * Dyna-Q+ (kappa > 0): when the world changes — say a wall is painted
+ * across the known path — the model is stale. Dyna-Q+ adds an exploration
+ * bonus κ·√τ to imagined rewards, where τ is how many real steps ago (s, a)
+ * was last tried, so long-untested moves start to look attractive and get
+ * re-checked. Actions never tried from a visited state are modelled as
+ * "stay put, reward 0" so they earn the bonus too.
+ */
+
+class DynaQAgent extends QLearningAgent {
+  /**
+   * @param {number} rows
+   * @param {number} cols
+   * @param {object} [options] - QLearningAgent options plus:
+   * @param {number} [options.planningSteps=10] - simulated updates per real step
+   * @param {number} [options.kappa=0] - Dyna-Q+ bonus weight (0 = plain Dyna-Q)
+   */
+  constructor(rows, cols, { planningSteps = 10, kappa = 0, ...options } = {}) {
+    super(rows, cols, options);
+    this.name = 'Dyna-Q';
+    this.planningSteps = planningSteps;
+    this.kappa = kappa;
+    this.resetModel();
+  }
+
+  resetModel() {
+    // key = (row * cols + col) * NUM_ACTIONS + action
+    //   → { reward, nr, nc, terminated, time }
+    this.model = new Map();
+    this.modelKeys = []; // the same keys, for uniform sampling
+    this.time = 0;       // real steps taken
+  }
+
+  _remember(r, c, action, reward, nr, nc, terminated, time) {
+    const key = (r * this.cols + c) * NUM_ACTIONS + action;
+    if (!this.model.has(key)) this.modelKeys.push(key);
+    this.model.set(key, { reward, nr, nc, terminated, time });
+  }
+
+  learn(state, action, reward, nextState, terminated) {
+    const [r, c] = state;
+    const [nr, nc] = nextState;
+    this.time++;
+
+    // 1. Direct RL: learn from the real transition
+    this._update(r, c, action, reward, nr, nc, terminated);
+
+    // 2. Model learning. Dyna-Q+ also seeds untried actions of a new state.
+    if (this.kappa > 0) {
+      for (let a = 0; a < NUM_ACTIONS; a++) {
+        const key = (r * this.cols + c) * NUM_ACTIONS + a;
+        if (!this.model.has(key)) this._remember(r, c, a, 0, r, c, false, 0);
+      }
+    }
+    this._remember(r, c, action, reward, nr, nc, terminated, this.time);
+
+    // 3. Planning: replay remembered transitions
+    for (let i = 0; i < this.planningSteps; i++) {
+      const key = this.modelKeys[Math.floor(this.rng() * this.modelKeys.length)];
+      const m = this.model.get(key);
+      const cell = Math.floor(key / NUM_ACTIONS);
+      const pr = Math.floor(cell / this.cols);
+      const pc = cell % this.cols;
+      const bonus = this.kappa > 0 ? this.kappa * Math.sqrt(this.time - m.time) : 0;
+      this._update(pr, pc, key % NUM_ACTIONS, m.reward + bonus, m.nr, m.nc, m.terminated);
+    }
+  }
+
+  resetQ() {
+    super.resetQ();
+    this.resetModel();
+  }
+
+  snapshot() {
+    return { ...super.snapshot(), model: this.model, modelKeys: this.modelKeys, time: this.time };
+  }
+
+  restore(snapshot) {
+    super.restore(snapshot);
+    this.model = snapshot.model;
+    this.modelKeys = snapshot.modelKeys;
+    this.time = snapshot.time;
+  }
+}
+
+/**
+ * MonteCarloAgent — Monte Carlo control: no bootstrapping, learn from
+ * whole episodes.
+ *
+ * learn() only records (s, a, r). When the episode ends, the agent walks the
+ * record backwards computing the actual return that followed each step,
+ *
+ *   G_t = r_t+1 + γ · r_t+2 + γ² · r_t+3 + ...
+ *
+ * and moves Q(s, a) toward it:
+ *
+ *   Q(s, a) ← Q(s, a) + α · [ G_t − Q(s, a) ]               (constant-α)
+ *   Q(s, a) ← Q(s, a) + (1 / N(s, a)) · [ G_t − Q(s, a) ]   (sample average)
+ *
+ * Sample averaging makes Q the plain mean of every return seen so far;
+ * constant-α weights recent returns more, which copes better with a policy
+ * that keeps improving.
+ *
+ * First-visit MC only uses the return from the first time (s, a) occurs in
+ * an episode; every-visit uses all of them.
+ *
+ * If the episode times out (truncated, not terminated), there is no true
+ * final return, so the tail is bootstrapped from max Q of the last state
+ * reached, as the TD agents do.
+ */
+
+class MonteCarloAgent extends QLearningAgent {
+  /**
+   * @param {number} rows
+   * @param {number} cols
+   * @param {object} [options] - QLearningAgent options plus:
+   * @param {string} [options.visits='first'] - 'first' | 'every'
+   * @param {string} [options.stepSize='average'] - 'average' (1/N) | 'constant' (alpha)
+   */
+  constructor(rows, cols, { visits = 'first', stepSize = 'average', ...options } = {}) {
+    super(rows, cols, options);
+    this.name = 'Monte Carlo';
+    this.visits = visits;
+    this.stepSize = stepSize;
+    this.resetCounts();
+    this.episode = []; // [{ r, c, action, reward }] for the current episode
+    this.lastState = null; // where the episode got to, for bootstrapping a timeout
+  }
+
+  resetCounts() {
+    // n[row][col][action] = returns averaged into Q(s, a) so far
+    this.n = [];
+    for (let r = 0; r < this.rows; r++) {
+      this.n[r] = [];
+      for (let c = 0; c < this.cols; c++) {
+        this.n[r][c] = new Uint32Array(NUM_ACTIONS);
+      }
+    }
+  }
+
+  /** Record the step. Nothing is updated until the episode is over. */
+  learn(state, action, reward, nextState, terminated) {
+    this.episode.push({ r: state[0], c: state[1], action, reward });
+    this.lastState = nextState;
+    if (terminated) this._flush(0);
+  }
+
+  /** Episode cut off by the step limit: bootstrap the missing tail. */
+  endEpisode() {
+    if (this.episode.length > 0) {
+      const [r, c] = this.lastState;
+      this._flush(this.getMaxQ(r, c));
+    }
+    super.endEpisode();
+  }
+
+  /** Turn the recorded episode into returns and update Q. `tail` is the value after the last step. */
+  _flush(tail) {
+    const steps = this.episode;
+
+    // First-visit: index of the first occurrence of each (s, a)
+    let firstVisit = null;
+    if (this.visits === 'first') {
+      firstVisit = new Map();
+      for (let t = 0; t < steps.length; t++) {
+        const key = (steps[t].r * this.cols + steps[t].c) * NUM_ACTIONS + steps[t].action;
+        if (!firstVisit.has(key)) firstVisit.set(key, t);
+      }
+    }
+
+    let G = tail;
+    for (let t = steps.length - 1; t >= 0; t--) {
+      const { r, c, action, reward } = steps[t];
+      G = reward + this.gamma * G;
+
+      if (firstVisit) {
+        const key = (r * this.cols + c) * NUM_ACTIONS + action;
+        if (firstVisit.get(key) !== t) continue;
+      }
+
+      const count = ++this.n[r][c][action];
+      const step = this.stepSize === 'average' ? 1 / count : this.alpha;
+      this.q[r][c][action] += step * (G - this.q[r][c][action]);
+      this.totalUpdates++;
+    }
+
+    this.episode = [];
+    this.lastState = null;
+  }
+
+  resetQ() {
+    super.resetQ();
+    this.resetCounts();
+    this.episode = [];
+    this.lastState = null;
+  }
+
+  snapshot() {
+    return { ...super.snapshot(), n: this.n };
+  }
+
+  restore(snapshot) {
+    super.restore(snapshot);
+    this.n = snapshot.n;
+    this.episode = [];
+    this.lastState = null;
+  }
+}
+
+/**
+ * SoftmaxPolicyAgent — base for the policy-gradient agents.
+ *
+ * Instead of learning Q-values and acting greedily on them, these agents
+ * learn the policy directly. Each (row, col) has a preference θ(s, a) per
+ * action, and actions are drawn from the softmax of those preferences:
+ *
+ *   π(a | s) = exp(θ(s, a)) / Σ_b exp(θ(s, b))
+ *
+ * Exploration comes for free: every action keeps some probability until
+ * learning pushes it down, so there is no epsilon.
+ *
+ * Both subclasses also learn a state-value table V(s), used as a baseline
+ * (REINFORCE) or a critic (actor-critic). The gradient of log π needed by
+ * both is simple for a softmax:
+ *
+ *   ∂ log π(a | s) / ∂ θ(s, b) = 1[b = a] − π(b | s)
+ *
+ * Hyperparameters:
+ *   α (alpha) — step size for the preferences (the actor).
+ *   β (beta)  — step size for V (the baseline / critic).
+ *   γ (gamma) — discount factor.
+ */
+
+class SoftmaxPolicyAgent {
+  constructor(rows, cols, { alpha = 0.1, beta = 0.1, gamma = 0.95, rng = Math.random } = {}) {
+    this.rows = rows;
+    this.cols = cols;
+    this.alpha = alpha;
+    this.beta = beta;
+    this.gamma = gamma;
+    this.rng = rng;
+
+    // theta[row][col][action] = preference, v[row][col] = state value
+    this.theta = [];
+    this.v = [];
+    for (let r = 0; r < rows; r++) {
+      this.theta[r] = [];
+      this.v[r] = new Float64Array(cols);
+      for (let c = 0; c < cols; c++) {
+        this.theta[r][c] = new Float64Array(NUM_ACTIONS);
+      }
+    }
+
+    this.totalUpdates = 0;
+  }
+
+  /** π(· | s) for a cell: softmax of the preferences. */
+  getPolicy(row, col) {
+    const prefs = this.theta[row][col];
+    const maxPref = Math.max(prefs[0], prefs[1], prefs[2], prefs[3]);
+    // Subtract the max before exp() so large preferences can't overflow
+    const weights = Array.from(prefs, p => Math.exp(p - maxPref));
+    const total = weights[0] + weights[1] + weights[2] + weights[3];
+    return weights.map(w => w / total);
+  }
+
+  /** Learned state value V(s), for display. */
+  getValue(row, col) {
+    return this.v[row][col];
+  }
+
+  /** Sample an action from π(· | s). */
+  act(state) {
+    const probs = this.getPolicy(state[0], state[1]);
+    let u = this.rng();
+    for (let a = 0; a < NUM_ACTIONS - 1; a++) {
+      u -= probs[a];
+      if (u < 0) return a;
+    }
+    return NUM_ACTIONS - 1;
+  }
+
+  /** θ(s, ·) += step · ∇ log π(action | s) */
+  _policyStep(r, c, action, step) {
+    const probs = this.getPolicy(r, c);
+    const prefs = this.theta[r][c];
+    for (let b = 0; b < NUM_ACTIONS; b++) {
+      prefs[b] += step * ((b === action ? 1 : 0) - probs[b]);
+    }
+    this.totalUpdates++;
+  }
+
+  endEpisode() {}
+
+  /** Reset preferences and values to zero (a uniform random policy). Named like the Q agents' reset. */
+  resetQ() {
+    for (let r = 0; r < this.rows; r++) {
+      this.v[r].fill(0);
+      for (let c = 0; c < this.cols; c++) {
+        this.theta[r][c].fill(0);
+      }
+    }
+    this.totalUpdates = 0;
+  }
+
+  snapshot() {
+    return { theta: this.theta, v: this.v, totalUpdates: this.totalUpdates };
+  }
+
+  restore({ theta, v, totalUpdates }) {
+    this.theta = theta;
+    this.v = v;
+    this.totalUpdates = totalUpdates;
+  }
+}
+
+/**
+ * ReinforceAgent — Monte Carlo policy gradient (REINFORCE).
+ *
+ * Like MonteCarloAgent it records the whole episode and learns at the end.
+ * For each step t, with G_t the return that followed it:
+ *
+ *   δ = G_t − b(s_t)
+ *   θ(s_t, ·) ← θ(s_t, ·) + α · γ^t · δ · ∇ log π(a_t | s_t)
+ *
+ * i.e. make actions that led to better-than-expected returns more likely.
+ * Without a baseline, b = 0 and the updates are very noisy (every action on
+ * a successful path gets reinforced). With the baseline, b(s) = V(s) is
+ * learned alongside, V(s_t) ← V(s_t) + β · δ, and only the surprise counts.
+ *
+ * A timed-out episode's tail is bootstrapped from V of the last state when
+ * the baseline is on (there's nothing to bootstrap from without it).
+ */
+
+class ReinforceAgent extends SoftmaxPolicyAgent {
+  /**
+   * @param {number} rows
+   * @param {number} cols
+   * @param {object} [options] - SoftmaxPolicyAgent options plus:
+   * @param {boolean} [options.baseline=true] - subtract a learned V(s) from the return
+   */
+  constructor(rows, cols, { baseline = true, ...options } = {}) {
+    super(rows, cols, options);
+    this.name = 'REINFORCE';
+    this.baseline = baseline;
+    this.episode = [];     // [{ r, c, action, reward }] for the current episode
+    this.lastState = null; // where the episode got to, for bootstrapping a timeout
+  }
+
+  /** Record the step. Nothing is updated until the episode is over. */
+  learn(state, action, reward, nextState, terminated) {
+    this.episode.push({ r: state[0], c: state[1], action, reward });
+    this.lastState = nextState;
+    if (terminated) this._flush(0);
+  }
+
+  endEpisode() {
+    if (this.episode.length === 0) return;
+    const [r, c] = this.lastState;
+    this._flush(this.baseline ? this.v[r][c] : 0);
+  }
+
+  _flush(tail) {
+    const steps = this.episode;
+
+    // Returns first (backwards), then updates in time order for γ^t
+    const returns = new Float64Array(steps.length);
+    let G = tail;
+    for (let t = steps.length - 1; t >= 0; t--) {
+      G = steps[t].reward + this.gamma * G;
+      returns[t] = G;
+    }
+
+    let discount = 1;
+    for (let t = 0; t < steps.length; t++) {
+      const { r, c, action } = steps[t];
+      let delta = returns[t];
+      if (this.baseline) {
+        delta -= this.v[r][c];
+        this.v[r][c] += this.beta * delta;
+      }
+      this._policyStep(r, c, action, this.alpha * discount * delta);
+      discount *= this.gamma;
+    }
+
+    this.episode = [];
+    this.lastState = null;
+  }
+
+  resetQ() {
+    super.resetQ();
+    this.episode = [];
+    this.lastState = null;
+  }
+
+  restore(snapshot) {
+    super.restore(snapshot);
+    this.episode = [];
+    this.lastState = null;
+  }
+}
+
+/**
+ * ActorCriticAgent — one-step actor-critic.
+ *
+ * The critic learns V(s) by TD(0); its TD error tells the actor, after
+ * every single step, whether the action turned out better or worse than
+ * expected:
+ *
+ *   δ = r + γ · V(s') − V(s)                 (V(s') = 0 if terminated)
+ *   V(s) ← V(s) + β · δ
+ *   θ(s, ·) ← θ(s, ·) + α · I · δ · ∇ log π(a | s),     I = γ^t
+ *
+ * No waiting for the episode to end, and much less variance than
+ * REINFORCE, at the price of the critic's bias while it's still wrong.
+ */
+
+class ActorCriticAgent extends SoftmaxPolicyAgent {
+  constructor(rows, cols, options = {}) {
+    super(rows, cols, options);
+    this.name = 'Actor-Critic';
+    this.discount = 1; // I = γ^t for the current episode
+  }
+
+  learn(state, action, reward, nextState, terminated) {
+    const [r, c] = state;
+    const [nr, nc] = nextState;
+
+    const target = terminated ? reward : reward + this.gamma * this.v[nr][nc];
+    const delta = target - this.v[r][c];
+
+    this.v[r][c] += this.beta * delta;                                  // critic
+    this._policyStep(r, c, action, this.alpha * this.discount * delta); // actor
+    this.discount *= this.gamma;
+  }
+
+  endEpisode() {
+    this.discount = 1;
+  }
+
+  resetQ() {
+    super.resetQ();
+    this.discount = 1;
+  }
 }
 
 /**
@@ -153,7 +963,7 @@ class QLearningAgent {
  * The signal state is built from the gradient of the signal field:
  * for each of the 4 directions, we compute
  *   delta = signal(neighbor) - signal(here)
- * and discretize it into one of 3 bins:
+ * and discretize it into one of `bins` bins. With the default 3 bins:
  *   0 = negative (signal gets worse that way)
  *   1 = ~zero    (signal stays about the same)
  *   2 = positive (signal gets better that way)
@@ -162,106 +972,614 @@ class QLearningAgent {
  * "when signal improves to the right, go right" — which transfer
  * to any grid with the same type of signals.
  *
- * The threshold parameter controls how big a delta must be to count
- * as positive or negative (vs. ~zero).
+ * Bin edges come from one of three places:
+ *   default   — symmetric around 0, doubling outwards from `threshold`
+ *               (see signalBinEdges); for 3 bins that's [−threshold, threshold]
+ *   edges     — an explicit ascending list (bins = edges.length + 1)
+ *   quantiles — fitted from the deltas the agent actually sees: it learns
+ *               with the default edges for `quantileSamples` deltas, then
+ *               puts the edges at the quantiles so every bin is about as
+ *               common, and starts the table over (its states now mean
+ *               something else). Ties (e.g. many deltas of exactly 0)
+ *               can make two edges equal, leaving a bin empty.
+ *
+ * By default the deltas come from the combined field, where a goal and a
+ * pit can cancel out. With `channels` (e.g. ['goal', 'pit']) the agent
+ * bins the 4 deltas of each of those SignalField channels instead, so it
+ * can tell "towards the goal" from "away from the pit".
+ *
+ * Two optional extras refine the state:
+ *   signalBins — also bucket the (combined) signal here into that many
+ *                equal slices of [−1, 1] (near a goal vs. far away with
+ *                the same slope)
+ *   wallBits   — one bit per direction for "blocked"; a wall otherwise
+ *                looks the same as a flat signal (delta 0)
+ *
+ * The state index is a mixed-radix number (up, right, down, left for each
+ * channel, then signal level, then wall bits), so the table has
+ *   bins^(4 · channels) · max(1, signalBins) · (wallBits ? 16 : 1)
+ * rows, and with no extras the indices match the plain 81-state encoding.
+ *
+ * Exploration works as in QLearningAgent (`epsilon` or an `exploration`
+ * spec); UCB counts visits per signal state rather than per cell.
  */
 
 class SignalQAgent {
-  constructor(signalField, { alpha = 0.1, gamma = 0.95, epsilon = 0.1, threshold = 0.05 } = {}) {
+  /**
+   * @param {SignalField} signalField
+   * @param {object} [options]
+   * @param {number} [options.alpha=0.1]
+   * @param {number} [options.gamma=0.95]
+   * @param {number} [options.epsilon=0.1]
+   * @param {object} [options.exploration] - createExploration() spec; overrides epsilon
+   * @param {number} [options.bins=3] - bins per direction
+   * @param {number} [options.threshold=0.05] - width of the neutral bin for the default edges
+   * @param {number[]} [options.edges] - explicit ascending bin edges; overrides bins
+   * @param {boolean} [options.quantileEdges=false] - fit the edges to observed deltas
+   * @param {number} [options.quantileSamples=2000] - deltas to observe before fitting
+   * @param {number} [options.signalBins=0] - buckets for the signal here (0 = off)
+   * @param {boolean} [options.wallBits=false] - add one blocked bit per direction
+   * @param {string[]} [options.channels] - SignalField channels to sense (default: the combined field)
+   * @param {function} [options.rng=Math.random]
+   */
+  constructor(signalField, {
+    alpha = 0.1, gamma = 0.95, epsilon = 0.1, exploration = null,
+    bins = 3, threshold = 0.05, edges = null, quantileEdges = false, quantileSamples = 2000,
+    signalBins = 0, wallBits = false, channels = null, rng = Math.random,
+  } = {}) {
     this.name = 'Signal Q';
     this.signalField = signalField;
     this.alpha = alpha;
     this.gamma = gamma;
-    this.epsilon = epsilon;
+    this.exploration = createExploration(exploration || { strategy: 'epsilon', epsilon });
     this.threshold = threshold;
+    this.rng = rng;
 
-    // 81 possible signal states, 4 actions each
-    this.numStates = 81; // 3^4
-    this.q = [];
-    for (let s = 0; s < this.numStates; s++) {
-      this.q[s] = new Float64Array(NUM_ACTIONS);
+    if (edges) {
+      for (let i = 1; i < edges.length; i++) {
+        if (!(edges[i] > edges[i - 1])) throw new Error('Signal Q bin edges must be in ascending order.');
+      }
+      bins = edges.length + 1;
     }
+    if (!Number.isInteger(bins) || bins < 1) throw new Error(`Signal Q needs a whole number of bins, got ${bins}.`);
+    if (!Number.isInteger(signalBins) || signalBins < 0) {
+      throw new Error(`Signal Q needs a whole number of signal level bins (0 for none), got ${signalBins}.`);
+    }
+    this.bins = bins;
+    this.edges = edges ? [...edges] : signalBinEdges(bins, threshold);
+    this.quantileEdges = quantileEdges && !edges;
+    this.quantileSamples = quantileSamples;
+    this.deltaSamples = [];       // observed deltas, until the quantile edges are fitted
+    this.edgesFitted = false;
+    this.signalBins = signalBins;
+    this.wallBits = wallBits;
+    this.channels = channels && channels.length > 0 ? [...channels] : null;
+    for (const channel of this.channels || []) {
+      if (!signalField.channels.includes(channel)) {
+        throw new Error(`Unknown signal channel '${channel}'. The signal field has: ${signalField.channels.join(', ')}.`);
+      }
+    }
+
+    // bins^4 direction states per channel, times the optional extras; 4 actions each
+    const directionDigits = NUM_ACTIONS * (this.channels ? this.channels.length : 1);
+    this.numStates = Math.pow(bins, directionDigits) * Math.max(1, signalBins) * (wallBits ? 16 : 1);
+    if (this.numStates > SIGNAL_Q_MAX_STATES) {
+      throw new Error(`Signal Q encoding has ${this.numStates} states (limit ${SIGNAL_Q_MAX_STATES}). ` +
+        'Use fewer bins, channels or extras.');
+    }
+    // q[s · 4 + a] in one flat array, which is cheap to post to the worker and back
+    this.q = new Float64Array(this.numStates * NUM_ACTIONS).fill(this.exploration.initialQ);
+    this.visits = new Uint32Array(this.numStates); // learning updates per state
+    this.sensed = new SensedStates();
 
     this.totalUpdates = 0;
   }
 
   /**
-   * Convert a grid position to a signal-based state index.
-   *
-   * Reads the signal gradient (how signal changes in each direction)
-   * and discretizes into bins:
-   *   delta < -threshold  →  0 (worse)
-   *   |delta| <= threshold →  1 (neutral)
-   *   delta > threshold   →  2 (better)
-   *
-   * Encodes as a base-3 number: up*27 + right*9 + down*3 + left*1
+   * What the agent senses at a cell: the signal here, the 4 deltas (per
+   * sensed channel, one after another) and which ways are blocked.
    */
-  _stateIndex(gridState) {
+  _sense(gridState) {
     const [row, col] = gridState;
     const here = this.signalField.read(row, col);
-    const neighbors = this.signalField.gradient(row, col); // [up, right, down, left]
+    const deltas = [];
+    for (const channel of this.channels || [null]) {
+      const base = this.signalField.read(row, col, channel);
+      for (const n of this.signalField.gradient(row, col, channel)) deltas.push(n - base); // [up, right, down, left]
+    }
 
-    let index = 0;
-    const multipliers = [27, 9, 3, 1]; // base-3 place values
+    let walls = 0;
+    if (this.wallBits) {
+      const { env } = this.signalField;
+      for (let d = 0; d < NUM_ACTIONS; d++) {
+        const nr = row + DELTAS[d][0];
+        const nc = col + DELTAS[d][1];
+        const blocked = nr < 0 || nr >= env.rows || nc < 0 || nc >= env.cols ||
+          env.layout[nr][nc] === CELL_WALL;
+        if (blocked) walls |= 8 >> d; // up is the high bit
+      }
+    }
+    return { here, deltas, walls };
+  }
 
-    for (let d = 0; d < 4; d++) {
-      const delta = neighbors[d] - here;
-      let bin;
-      if (delta < -this.threshold)      bin = 0; // worse
-      else if (delta > this.threshold)  bin = 2; // better
-      else                              bin = 1; // neutral
-      index += bin * multipliers[d];
+  /** Bin of a delta: how many edges it is past. A delta on an edge goes to the bin nearer 0. */
+  _bin(delta) {
+    let bin = 0;
+    for (const edge of this.edges) {
+      if (edge < 0 ? delta >= edge : delta > edge) bin++;
     }
+    return bin;
+  }
 
+  /**
+   * Convert a grid position to a signal-based state index.
+   *
+   * Bins each direction's delta and encodes the result as a mixed-radix
+   * number: up·bins³ + right·bins² + down·bins + left (for each channel in
+   * turn), then the signal level and wall bits (if enabled) as further,
+   * less significant digits.
+   */
+  _stateIndex(gridState) {
+    return this._encode(this._sense(gridState));
+  }
+
+  _encode({ here, deltas, walls }) {
+    let index = 0;
+    for (const delta of deltas) {
+      index = index * this.bins + this._bin(delta);
+    }
+    if (this.signalBins > 0) {
+      const level = Math.floor(((Math.max(-1, Math.min(1, here)) + 1) / 2) * this.signalBins);
+      index = index * this.signalBins + Math.min(level, this.signalBins - 1);
+    }
+    if (this.wallBits) index = index * 16 + walls;
     return index;
   }
 
-  act(gridState) {
-    const s = this._stateIndex(gridState);
+  /** Collect deltas for the quantile edges, and fit them once there are enough. */
+  _observe(deltas) {
+    if (!this.quantileEdges || this.edgesFitted) return;
+    this.deltaSamples.push(...deltas);
+    if (this.deltaSamples.length >= this.quantileSamples) this.fitQuantileEdges();
+  }
 
-    if (Math.random() < this.epsilon) {
-      return Math.floor(Math.random() * NUM_ACTIONS);
+  /**
+   * Put the bin edges at the quantiles of the observed deltas, so each bin
+   * holds about the same share of them. The table is cleared, since every
+   * state index now means something different.
+   */
+  fitQuantileEdges() {
+    const sorted = Float64Array.from(this.deltaSamples).sort();
+    if (sorted.length === 0) return;
+    this.edges = [];
+    for (let k = 1; k < this.bins; k++) {
+      this.edges.push(sorted[Math.floor((k * sorted.length) / this.bins)]);
     }
+    this.deltaSamples = [];
+    this.edgesFitted = true;
+    this.q.fill(this.exploration.initialQ);
+    this.visits.fill(0);
+  }
 
-    const qValues = this.q[s];
-    let bestVal = qValues[0];
-    let bestActions = [0];
-
-    for (let a = 1; a < NUM_ACTIONS; a++) {
-      if (qValues[a] > bestVal) {
-        bestVal = qValues[a];
-        bestActions = [a];
-      } else if (qValues[a] === bestVal) {
-        bestActions.push(a);
-      }
+  /** Number of states that have been learned from at least `minVisits` times. */
+  visitedStates(minVisits = 1) {
+    let count = 0;
+    for (let s = 0; s < this.numStates; s++) {
+      if (this.visits[s] >= minVisits) count++;
     }
+    return count;
+  }
+
+  act(gridState) {
+    const sensed = this._sense(gridState);
+    this.sensed.remember(gridState, sensed);
+    const s = this._encode(sensed);
+    return this.exploration.select(this._qValues(s), this.rng, s);
+  }
 
-    return bestActions[Math.floor(Math.random() * bestActions.length)];
+  /** The 4 Q-values of state s (a view into the flat table). */
+  _qValues(s) {
+    return this.q.subarray(s * NUM_ACTIONS, (s + 1) * NUM_ACTIONS);
   }
 
-  learn(gridState, action, reward, nextGridState, done) {
-    const s = this._stateIndex(gridState);
-    const ns = this._stateIndex(nextGridState);
+  learn(gridState, action, reward, nextGridState, terminated) {
+    // What was sensed when acting, not now: a trail may have moved on since
+    const sensed = this.sensed.recall(gridState) || this._sense(gridState);
+    const s = this._encode(sensed);
+    const ns = this._encode(this.sensed.recall(nextGridState) || this._sense(nextGridState));
 
-    const currentQ = this.q[s][action];
+    const i = s * NUM_ACTIONS + action;
+    const currentQ = this.q[i];
 
     let target;
-    if (done) {
+    if (terminated) {
       target = reward;
     } else {
-      const nextQ = this.q[ns];
+      const nextQ = this._qValues(ns);
       const maxNextQ = Math.max(nextQ[0], nextQ[1], nextQ[2], nextQ[3]);
       target = reward + this.gamma * maxNextQ;
     }
 
-    this.q[s][action] = currentQ + this.alpha * (target - currentQ);
+    this.q[i] = currentQ + this.alpha * (target - currentQ);
+    this.visits[s]++;
     this.totalUpdates++;
+    this._observe(sensed.deltas);
+  }
+
+  endEpisode() {
+    this.exploration.endEpisode();
   }
 
+  /** Clear the table and visit counts. Quantile edges are fitted afresh. */
   resetQ() {
-    for (let s = 0; s < this.numStates; s++) {
-      this.q[s].fill(0);
+    this.q.fill(this.exploration.initialQ);
+    this.visits.fill(0);
+    if (this.quantileEdges) {
+      this.edges = signalBinEdges(this.bins, this.threshold);
+      this.deltaSamples = [];
+      this.edgesFitted = false;
     }
+    this.exploration.reset();
     this.totalUpdates = 0;
   }
+
+  snapshot() {
+    return {
+      q: this.q,
+      visits: this.visits,
+      edges: this.edges,
+      deltaSamples: this.deltaSamples,
+      edgesFitted: this.edgesFitted,
+      totalUpdates: this.totalUpdates,
+      exploration: this.exploration.snapshot(),
+    };
+  }
+
+  restore({ q, visits, edges, deltaSamples, edgesFitted, totalUpdates, exploration }) {
+    this.q = q;
+    this.totalUpdates = totalUpdates;
+    if (visits) this.visits = visits;
+    if (edges) {
+      this.edges = edges;
+      this.deltaSamples = deltaSamples;
+      this.edgesFitted = edgesFitted;
+    }
+    if (exploration) this.exploration.restore(exploration);
+  }
+}
+
+// Largest Signal Q table allowed (rows, 4 actions each): 100,000 states is
+// 3.2 MB, small enough to copy to the training worker and back every batch
+const SIGNAL_Q_MAX_STATES = 100000;
+
+/**
+ * Default Signal Q bin edges: symmetric around 0. An odd number of bins
+ * has a neutral middle bin [−threshold, threshold]; an even number splits
+ * at 0. Further edges double outwards (threshold, 2·threshold, ...), since
+ * deltas shrink roughly geometrically with distance from an emitter.
+ *
+ *   signalBinEdges(3, 0.05) → [−0.05, 0.05]
+ *   signalBinEdges(5, 0.05) → [−0.1, −0.05, 0.05, 0.1]
+ *   signalBinEdges(4, 0.05) → [−0.05, 0, 0.05]
+ */
+function signalBinEdges(bins, threshold) {
+  const positive = [];
+  if (bins % 2 === 1) {
+    for (let k = 0; k < (bins - 1) / 2; k++) positive.push(threshold * Math.pow(2, k));
+    return [...positive.map(e => -e).reverse(), ...positive];
+  }
+  for (let k = 0; k < bins / 2 - 1; k++) positive.push(threshold * Math.pow(2, k));
+  return [...positive.map(e => -e).reverse(), 0, ...positive];
+}
+
+/**
+ * LinearQAgent — semi-gradient Q-learning with a linear function of
+ * continuous signal features.
+ *
+ * SignalQAgent throws away everything but the sign of each gradient delta;
+ * a DQN keeps everything but is hard to look inside. In between: one weight
+ * vector per action, and
+ *
+ *   Q(s, a) = w_a · φ(s)
+ *
+ * with φ(s) read straight from the signal field:
+ *
+ *   bias (always 1), signal here, and the change in signal towards
+ *   up / right / down / left (gradient − here)
+ *
+ * Optionally, each of the four deltas is also tile coded: several offset
+ * grids (tilings) chop [−tileRange, tileRange] into `tiles` bins, and each
+ * tiling switches on the one binary feature whose bin holds the delta. That
+ * lets a linear agent learn non-linear responses ("a small positive delta
+ * is worth a lot more than none") while staying linear in the weights.
+ *
+ * Update (normalized so α means "fraction of the TD error fixed for this
+ * state", whatever the number of active features):
+ *
+ *   δ = r + γ · max_a' Q(s', a') − Q(s, a)
+ *   w_a ← w_a + (α / ‖φ(s)‖²) · δ · φ(s)
+ *
+ * The weights don't depend on the layout, so like SignalQAgent the agent
+ * keeps working when the page swaps in a new signalField.
+ */
+
+const LINEAR_BASE_FEATURES = ['bias', 'signal', 'Δ up', 'Δ right', 'Δ down', 'Δ left'];
+
+class LinearQAgent {
+  /**
+   * @param {SignalField} signalField
+   * @param {object} [options]
+   * @param {number} [options.alpha=0.1]
+   * @param {number} [options.gamma=0.95]
+   * @param {number} [options.epsilon=0.1]
+   * @param {object} [options.exploration] - createExploration() spec; overrides epsilon
+   * @param {boolean} [options.tileCoding=false] - add tile-coded deltas to the features
+   * @param {number} [options.tilings=4] - offset tilings per delta
+   * @param {number} [options.tiles=8] - bins per tiling
+   * @param {number} [options.tileRange=0.5] - deltas are clamped to ±tileRange before tiling
+   * @param {function} [options.rng=Math.random]
+   */
+  constructor(signalField, {
+    alpha = 0.1, gamma = 0.95, epsilon = 0.1, exploration = null,
+    tileCoding = false, tilings = 4, tiles = 8, tileRange = 0.5, rng = Math.random,
+  } = {}) {
+    this.name = 'Linear Q';
+    this.signalField = signalField;
+    this.alpha = alpha;
+    this.gamma = gamma;
+    this.exploration = createExploration(exploration || { strategy: 'epsilon', epsilon });
+    this.tileCoding = tileCoding;
+    this.tilings = tilings;
+    this.tiles = tiles;
+    this.tileRange = tileRange;
+    this.rng = rng;
+
+    // Each tiling is offset by a fraction of a bin, so it needs one extra bin
+    this.tilesPerTiling = tiles + 1;
+    this.numFeatures = LINEAR_BASE_FEATURES.length +
+      (tileCoding ? NUM_ACTIONS * tilings * this.tilesPerTiling : 0);
+
+    // w[action][feature], all 0 except the bias weight (initialQ)
+    this.w = [];
+    for (let a = 0; a < NUM_ACTIONS; a++) {
+      this.w[a] = new Float64Array(this.numFeatures);
+    }
+    this.sensed = new SensedStates();
+    this.resetQ();
+  }
+
+  /** A short label for every feature, in weight order (for the inspector). */
+  featureNames() {
+    const names = [...LINEAR_BASE_FEATURES];
+    if (this.tileCoding) {
+      for (let d = 0; d < NUM_ACTIONS; d++) {
+        for (let t = 0; t < this.tilings; t++) {
+          for (let b = 0; b < this.tilesPerTiling; b++) {
+            names.push(`${LINEAR_BASE_FEATURES[2 + d]} t${t} b${b}`);
+          }
+        }
+      }
+    }
+    return names;
+  }
+
+  /** φ(s) for a grid position under the current signal field. */
+  _features(gridState) {
+    const [row, col] = gridState;
+    const here = this.signalField.read(row, col);
+    const neighbors = this.signalField.gradient(row, col); // [up, right, down, left]
+
+    const phi = new Float64Array(this.numFeatures);
+    phi[0] = 1;
+    phi[1] = here;
+    for (let d = 0; d < NUM_ACTIONS; d++) {
+      phi[2 + d] = neighbors[d] - here;
+    }
+
+    if (this.tileCoding) {
+      const width = (2 * this.tileRange) / this.tiles;
+      let offset = LINEAR_BASE_FEATURES.length;
+      for (let d = 0; d < NUM_ACTIONS; d++) {
+        const x = Math.max(-this.tileRange, Math.min(this.tileRange, phi[2 + d]));
+        for (let t = 0; t < this.tilings; t++) {
+          const bin = Math.floor((x + this.tileRange) / width + t / this.tilings);
+          phi[offset + Math.min(bin, this.tiles)] = 1;
+          offset += this.tilesPerTiling;
+        }
+      }
+    }
+    return phi;
+  }
+
+  _qValues(phi) {
+    const q = [0, 0, 0, 0];
+    for (let a = 0; a < NUM_ACTIONS; a++) {
+      const w = this.w[a];
+      for (let i = 0; i < this.numFeatures; i++) q[a] += w[i] * phi[i];
+    }
+    return q;
+  }
+
+  act(gridState) {
+    const [row, col] = gridState;
+    const phi = this._features(gridState);
+    this.sensed.remember(gridState, phi);
+    return this.exploration.select(this._qValues(phi), this.rng, row * this.signalField.cols + col);
+  }
+
+  learn(gridState, action, reward, nextGridState, terminated) {
+    // Features from when the agent acted (see SensedStates)
+    const phi = this.sensed.recall(gridState) || this._features(gridState);
+    const currentQ = this._qValues(phi)[action];
+
+    let target = reward;
+    if (!terminated) {
+      const nextQ = this._qValues(this.sensed.recall(nextGridState) || this._features(nextGridState));
+      target += this.gamma * Math.max(nextQ[0], nextQ[1], nextQ[2], nextQ[3]);
+    }
+
+    let norm = 0;
+    for (let i = 0; i < this.numFeatures; i++) norm += phi[i] * phi[i];
+    const step = (this.alpha / norm) * (target - currentQ); // norm ≥ 1 (bias)
+
+    const w = this.w[action];
+    for (let i = 0; i < this.numFeatures; i++) w[i] += step * phi[i];
+    this.totalUpdates++;
+  }
+
+  endEpisode() {
+    this.exploration.endEpisode();
+  }
+
+  /** Q-values for a cell under the current signal field (for the overlay). */
+  getQ(row, col) {
+    return this._qValues(this._features([row, col]));
+  }
+
+  getMaxQ(row, col) {
+    return Math.max(...this.getQ(row, col));
+  }
+
+  /** Zero the weights, except bias = initialQ so every Q starts there. */
+  resetQ() {
+    for (let a = 0; a < NUM_ACTIONS; a++) {
+      this.w[a].fill(0);
+      this.w[a][0] = this.exploration.initialQ;
+    }
+    this.exploration.reset();
+    this.totalUpdates = 0;
+  }
+
+  snapshot() {
+    return { w: this.w, totalUpdates: this.totalUpdates, exploration: this.exploration.snapshot() };
+  }
+
+  restore({ w, totalUpdates, exploration }) {
+    this.w = w;
+    this.totalUpdates = totalUpdates;
+    if (exploration) this.exploration.restore(exploration);
+  }
+}
+
+/**
+ * Build an agent by its dropdown key ('random', 'qlearn', 'sarsa',
+ * 'expsarsa', 'doubleq', 'qlambda', 'sarsalambda', 'dyna', 'montecarlo',
+ * 'reinforce', 'actorcritic', 'valueiter', 'policyiter', 'signalq', 'linearq',
+ * 'dqn'). Planners come back already solved for `env`.
+ * Used wherever agents are made away from the UI (the training worker),
+ * so every place agrees on what each key means.
+ *
+ * @param {string} kind
+ * @param {object} ctx
+ * @param {GridWorld} ctx.env
+ * @param {SignalField} ctx.signalField
+ * @param {object} [ctx.params] - hyperparameters passed to the constructor
+ * @param {function} [ctx.rng=Math.random]
+ */
+function createAgent(kind, { env, signalField, params = {}, rng = Math.random }) {
+  switch (kind) {
+    case 'qlearn':      return new QLearningAgent(env.rows, env.cols, { ...params, rng });
+    case 'sarsa':       return new SarsaAgent(env.rows, env.cols, { ...params, rng });
+    case 'expsarsa':    return new ExpectedSarsaAgent(env.rows, env.cols, { ...params, rng });
+    case 'doubleq':     return new DoubleQAgent(env.rows, env.cols, { ...params, rng });
+    case 'qlambda':     return new TraceAgent(env.rows, env.cols, { ...params, mode: 'watkins', rng });
+    case 'sarsalambda': return new TraceAgent(env.rows, env.cols, { ...params, mode: 'sarsa', rng });
+    case 'dyna':        return new DynaQAgent(env.rows, env.cols, { ...params, rng });
+    case 'montecarlo':  return new MonteCarloAgent(env.rows, env.cols, { ...params, rng });
+    case 'reinforce':   return new ReinforceAgent(env.rows, env.cols, { ...params, rng });
+    case 'actorcritic': return new ActorCriticAgent(env.rows, env.cols, { ...params, rng });
+    case 'valueiter':   return new ValueIteration(env, { ...params, rng }).solve();
+    case 'policyiter':  return new PolicyIteration(env, { ...params, rng }).solve();
+    case 'signalq':     return new SignalQAgent(signalField, { ...params, rng });
+    case 'linearq':     return new LinearQAgent(signalField, { ...params, rng });
+    case 'dqn':         return new DQNAgent(signalField, { ...params, rng });
+    case 'random':      return new RandomAgent({ rng });
+    default: throw new Error(`Unknown agent kind '${kind}'.`);
+  }
+}
+
+/**
+ * Run one complete episode with learning, without any drawing.
+ * Returns { steps, reward, outcome } for the stats.
+ */
+function runEpisode(env, agent) {
+  const field = agent.signalField;
+  let state = env.reset();
+  if (field) field.beginEpisode(state[0], state[1]);
+  let action = agent.act(state);
+  let result;
+  while (!env.done) {
+    result = env.step(action);
+    // Trail and agent emitter move on first, so a' is chosen on the current field
+    if (field) field.visit(result.state[0], result.state[1]);
+    // Choose a' before learning so on-policy agents can use it
+    const nextAction = result.terminated ? null : agent.act(result.state);
+    agent.learn(state, action, result.reward, result.state, result.terminated, nextAction);
+    state = result.state;
+    action = nextAction;
+  }
+  agent.endEpisode();
+  return { steps: env.steps, reward: env.totalReward, outcome: result.info.outcome };
+}
+
+/**
+ * Measure how well an agent does on `env` without learning from it:
+ * exploration is switched off (a plain Greedy strategy, if the agent has
+ * one) and learn() is never called. Agents that sense a signal field get a field
+ * built for `env` (with the same signal shape) for the duration, so this
+ * also tests transfer to a layout they haven't trained on. Planners are
+ * solved for `env` (it must have their grid size) and re-solved for their
+ * own env afterwards.
+ *
+ * Returns { episodes, goals, pits, timeouts, avgSteps, avgReward, successRate }.
+ */
+function evaluateAgent(env, agent, episodes = 100) {
+  const savedExploration = agent.exploration;
+  const savedField = agent.signalField;
+  const savedEnv = agent instanceof TabularPlanner ? agent.env : null;
+  if (savedExploration) agent.exploration = new Greedy();
+  if (savedField) agent.signalField = new SignalField(env, savedField.options);
+  if (savedEnv) {
+    agent.env = env;
+    agent.solve();
+  }
+
+  const totals = { episodes, goals: 0, pits: 0, timeouts: 0, avgSteps: 0, avgReward: 0, successRate: 0 };
+  try {
+    for (let i = 0; i < episodes; i++) {
+      let state = env.reset();
+      if (savedField) agent.signalField.beginEpisode(state[0], state[1]);
+      let result;
+      while (!env.done) {
+        result = env.step(agent.act(state));
+        state = result.state;
+        if (savedField) agent.signalField.visit(state[0], state[1]);
+      }
+      if (result.info.outcome === 'goal') totals.goals++;
+      else if (result.info.outcome === 'pit') totals.pits++;
+      else totals.timeouts++;
+      totals.avgSteps += env.steps / episodes;
+      totals.avgReward += env.totalReward / episodes;
+    }
+  } finally {
+    if (savedExploration) agent.exploration = savedExploration;
+    if (savedField) agent.signalField = savedField;
+    if (savedEnv) {
+      agent.env = savedEnv;
+      agent.solve();
+    }
+  }
+  totals.successRate = totals.goals / episodes;
+  return totals;
+}
+
+// Node (train.js): export the public surface. In the browser these are
+// plain script globals and this block is skipped.
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RandomAgent, QLearningAgent, SarsaAgent, ExpectedSarsaAgent, DoubleQAgent, TraceAgent,
+    DynaQAgent, MonteCarloAgent, SoftmaxPolicyAgent, ReinforceAgent, ActorCriticAgent,
+    SignalQAgent, signalBinEdges, LinearQAgent,
+    createAgent, runEpisode, evaluateAgent,
+  };
 }
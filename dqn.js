@@ -0,0 +1,407 @@
+'use strict';
+
+// Node: there are no <script> tags sharing globals, so pull in what this
+// file uses from the files index.html loads before it.
+if (typeof module !== 'undefined' && module.exports) {
+  Object.assign(globalThis, require('./env.js'), require('./exploration.js'));
+}
+
+/**
+ * DQN — a deep Q-network, small enough to train on the CPU in plain JS.
+ *
+ * SignalQAgent squeezes the signal gradient into 81 hand-made bins. A DQN
+ * instead feeds the raw numbers into a neural network that outputs one
+ * Q-value per action, and learns its own way of carving up the inputs.
+ *
+ * Three pieces:
+ *   MLP          — a tiny fully connected network (ReLU hidden layers,
+ *                  linear output), trained with Adam.
+ *   ReplayBuffer — stores past transitions; training samples random
+ *                  minibatches from it, so consecutive (highly correlated)
+ *                  steps don't all push the network the same way.
+ *   DQNAgent     — explores on the network's Q-values (epsilon-greedy by
+ *                  default, any exploration.js strategy). Targets come
+ *                  from a second "target network", a copy of the main one
+ *                  refreshed every few hundred steps, so the thing being
+ *                  learned isn't chasing its own moving estimate:
+ *
+ *     target = r + γ · max_a' Q_target(s', a')       (just r if terminated)
+ */
+
+/**
+ * MLP — fully connected network with all weights in one flat Float64Array.
+ *
+ * For layer l with nIn inputs and nOut outputs, the weights are stored
+ * row-major (nOut × nIn) followed by nOut biases. Keeping everything flat
+ * makes Adam, copying and snapshots one loop / one array each.
+ */
+
+class MLP {
+  /**
+   * @param {number[]} sizes - layer widths, input first, e.g. [9, 32, 32, 4]
+   * @param {object} [options]
+   * @param {function} [options.rng=Math.random] - for weight initialization
+   */
+  constructor(sizes, { rng = Math.random } = {}) {
+    this.sizes = sizes;
+    this.layers = []; // { nIn, nOut, w, b } offsets into params
+    let offset = 0;
+    for (let l = 0; l < sizes.length - 1; l++) {
+      const nIn = sizes[l];
+      const nOut = sizes[l + 1];
+      this.layers.push({ nIn, nOut, w: offset, b: offset + nIn * nOut });
+      offset += nIn * nOut + nOut;
+    }
+
+    this.params = new Float64Array(offset);
+    this.grads = new Float64Array(offset);
+    // Adam moment estimates
+    this.m = new Float64Array(offset);
+    this.v = new Float64Array(offset);
+    this.t = 0;
+
+    // He initialization (uniform), suited to ReLU. Biases start at 0.
+    for (const { nIn, nOut, w } of this.layers) {
+      const limit = Math.sqrt(6 / nIn);
+      for (let i = 0; i < nIn * nOut; i++) {
+        this.params[w + i] = (rng() * 2 - 1) * limit;
+      }
+    }
+
+    this.activations = []; // outputs of every layer from the last forward()
+  }
+
+  /** Run the network. Returns the output layer (a fresh Float64Array). */
+  forward(input) {
+    const p = this.params;
+    let a = Float64Array.from(input);
+    this.activations = [a];
+    for (let l = 0; l < this.layers.length; l++) {
+      const { nIn, nOut, w, b } = this.layers[l];
+      const last = l === this.layers.length - 1;
+      const out = new Float64Array(nOut);
+      for (let j = 0; j < nOut; j++) {
+        let z = p[b + j];
+        const row = w + j * nIn;
+        for (let i = 0; i < nIn; i++) z += p[row + i] * a[i];
+        out[j] = last || z > 0 ? z : 0; // ReLU on hidden layers
+      }
+      a = out;
+      this.activations.push(a);
+    }
+    return a;
+  }
+
+  /**
+   * Backpropagate dLoss/dOutput for the input of the last forward() call,
+   * adding into the gradient. Call step() to apply.
+   */
+  backward(dOutput) {
+    const p = this.params;
+    const g = this.grads;
+    let delta = Float64Array.from(dOutput);
+    for (let l = this.layers.length - 1; l >= 0; l--) {
+      const { nIn, nOut, w, b } = this.layers[l];
+      const input = this.activations[l];
+      const dInput = l > 0 ? new Float64Array(nIn) : null;
+      for (let j = 0; j < nOut; j++) {
+        const d = delta[j];
+        if (d === 0) continue;
+        g[b + j] += d;
+        const row = w + j * nIn;
+        for (let i = 0; i < nIn; i++) {
+          g[row + i] += d * input[i];
+          if (dInput) dInput[i] += d * p[row + i];
+        }
+      }
+      if (dInput) {
+        // Through the previous layer's ReLU
+        for (let i = 0; i < nIn; i++) {
+          if (input[i] <= 0) dInput[i] = 0;
+        }
+      }
+      delta = dInput;
+    }
+  }
+
+  /** Apply the accumulated gradient with Adam, then clear it. */
+  step(learningRate, { beta1 = 0.9, beta2 = 0.999, eps = 1e-8 } = {}) {
+    this.t++;
+    const c1 = 1 - Math.pow(beta1, this.t);
+    const c2 = 1 - Math.pow(beta2, this.t);
+    for (let i = 0; i < this.params.length; i++) {
+      const grad = this.grads[i];
+      this.m[i] = beta1 * this.m[i] + (1 - beta1) * grad;
+      this.v[i] = beta2 * this.v[i] + (1 - beta2) * grad * grad;
+      this.params[i] -= learningRate * (this.m[i] / c1) / (Math.sqrt(this.v[i] / c2) + eps);
+    }
+    this.grads.fill(0);
+  }
+
+  /** Copy weights from a network of the same shape (for the target network). */
+  copyFrom(other) {
+    this.params.set(other.params);
+  }
+
+  /** Weights and optimizer state as plain data (can be posted to a worker). */
+  snapshot() {
+    return { sizes: this.sizes, params: this.params, m: this.m, v: this.v, t: this.t };
+  }
+
+  restore({ params, m, v, t }) {
+    this.params = Float64Array.from(params);
+    this.m = Float64Array.from(m);
+    this.v = Float64Array.from(v);
+    this.t = t;
+  }
+}
+
+/**
+ * ReplayBuffer — fixed-size ring buffer of transitions with uniform sampling.
+ * Once full, the oldest transitions are overwritten.
+ */
+
+class ReplayBuffer {
+  constructor(capacity, { rng = Math.random } = {}) {
+    this.capacity = capacity;
+    this.rng = rng;
+    this.items = [];
+    this.next = 0; // where the next push goes once the buffer is full
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(transition) {
+    if (this.items.length < this.capacity) {
+      this.items.push(transition);
+    } else {
+      this.items[this.next] = transition;
+      this.next = (this.next + 1) % this.capacity;
+    }
+  }
+
+  /** n transitions drawn uniformly (with replacement). */
+  sample(n) {
+    const batch = [];
+    for (let i = 0; i < n; i++) {
+      batch.push(this.items[Math.floor(this.rng() * this.items.length)]);
+    }
+    return batch;
+  }
+
+  clear() {
+    this.items = [];
+    this.next = 0;
+  }
+}
+
+/**
+ * Feature vector the DQN sees for a cell. Everything is local, like
+ * SignalQAgent's state, so what is learned on one layout can transfer:
+ *
+ *   [0]     signal here
+ *   [1..4]  signal change towards up, right, down, left (raw gradient)
+ *   [5..8]  the same changes, scaled so the largest is ±1 (direction only;
+ *           far from an emitter the raw changes are tiny)
+ *   [9..12] 1 if that neighbour is a wall or the edge, else 0
+ *   [13,14] row and column scaled to [0, 1] — only with includePosition,
+ *           which helps on a single layout but ties the agent to it
+ */
+const DQN_BASE_FEATURES = 13;
+
+function dqnFeatures(signalField, row, col, includePosition = false) {
+  const env = signalField.env;
+  const here = signalField.read(row, col);
+  const neighbors = signalField.gradient(row, col);
+  const deltas = neighbors.map(n => n - here);
+  const scale = Math.max(...deltas.map(Math.abs)) || 1;
+
+  const features = [here, ...deltas, ...deltas.map(d => d / scale)];
+  for (const [dr, dc] of DELTAS) {
+    const nr = row + dr;
+    const nc = col + dc;
+    const blocked = nr < 0 || nr >= env.rows || nc < 0 || nc >= env.cols ||
+      env.layout[nr][nc] === CELL_WALL;
+    features.push(blocked ? 1 : 0);
+  }
+  if (includePosition) {
+    features.push(row / Math.max(1, env.rows - 1), col / Math.max(1, env.cols - 1));
+  }
+  return features;
+}
+
+/**
+ * DQNAgent — Q-learning with a neural network instead of a table.
+ *
+ * Each real step is stored in the replay buffer; once it holds `warmup`
+ * transitions, every `trainEvery` steps the network takes one Adam step
+ * on a random minibatch, using the Huber loss on the TD error (errors
+ * beyond ±1 count linearly, so one surprising reward can't blow up the
+ * weights). The target network is refreshed every `targetUpdate` steps.
+ *
+ * Like SignalQAgent it reads the world through `signalField`, which the
+ * page swaps when the layout changes; the network is kept.
+ */
+
+class DQNAgent {
+  /**
+   * @param {SignalField} signalField
+   * @param {object} [options]
+   * @param {number} [options.learningRate=0.001] - Adam step size
+   * @param {number} [options.gamma=0.95]
+   * @param {number} [options.epsilon=0.1]
+   * @param {object} [options.exploration] - createExploration() spec; overrides epsilon
+   * @param {number[]} [options.hidden=[32, 32]] - hidden layer widths
+   * @param {number} [options.batchSize=32]
+   * @param {number} [options.bufferSize=10000]
+   * @param {number} [options.warmup=200] - transitions to collect before training
+   * @param {number} [options.trainEvery=1] - real steps per minibatch update
+   * @param {number} [options.targetUpdate=250] - real steps between target network copies
+   * @param {boolean} [options.includePosition=false] - add (row, col) to the features
+   * @param {function} [options.rng=Math.random]
+   */
+  constructor(signalField, {
+    learningRate = 0.001, gamma = 0.95, epsilon = 0.1, exploration = null, hidden = [32, 32],
+    batchSize = 32, bufferSize = 10000, warmup = 200, trainEvery = 1, targetUpdate = 250,
+    includePosition = false, rng = Math.random,
+  } = {}) {
+    this.name = 'DQN';
+    this.signalField = signalField;
+    this.learningRate = learningRate;
+    this.gamma = gamma;
+    this.exploration = createExploration(exploration || { strategy: 'epsilon', epsilon });
+    this.hidden = hidden;
+    this.batchSize = batchSize;
+    this.warmup = warmup;
+    this.trainEvery = trainEvery;
+    this.targetUpdate = targetUpdate;
+    this.includePosition = includePosition;
+    this.rng = rng;
+
+    this.buffer = new ReplayBuffer(bufferSize, { rng: () => this.rng() });
+    this.sensed = new SensedStates();
+    this._buildNetworks();
+  }
+
+  _buildNetworks() {
+    const inputs = DQN_BASE_FEATURES + (this.includePosition ? 2 : 0);
+    const sizes = [inputs, ...this.hidden, NUM_ACTIONS];
+    this.online = new MLP(sizes, { rng: this.rng });
+    this.target = new MLP(sizes, { rng: this.rng });
+    // Output biases at initialQ, so every Q starts near it (optimistic start)
+    const output = this.online.layers[this.online.layers.length - 1];
+    this.online.params.fill(this.exploration.initialQ, output.b, output.b + output.nOut);
+    this.target.copyFrom(this.online);
+    this.steps = 0;        // real transitions seen
+    this.totalUpdates = 0; // minibatch updates made
+    this.lastLoss = 0;     // mean Huber loss of the latest minibatch
+  }
+
+  _features(gridState) {
+    return dqnFeatures(this.signalField, gridState[0], gridState[1], this.includePosition);
+  }
+
+  act(gridState) {
+    const [row, col] = gridState;
+    const features = this._features(gridState);
+    this.sensed.remember(gridState, features);
+    const qValues = this.online.forward(features);
+    return this.exploration.select(qValues, this.rng, row * this.signalField.cols + col);
+  }
+
+  learn(gridState, action, reward, nextGridState, terminated) {
+    // Features from when the agent acted (see SensedStates)
+    this.buffer.push({
+      features: this.sensed.recall(gridState) || this._features(gridState),
+      action,
+      reward,
+      nextFeatures: this.sensed.recall(nextGridState) || this._features(nextGridState),
+      terminated,
+    });
+    this.steps++;
+
+    if (this.buffer.size >= Math.max(this.warmup, this.batchSize) && this.steps % this.trainEvery === 0) {
+      this._trainMinibatch();
+    }
+    if (this.steps % this.targetUpdate === 0) {
+      this.target.copyFrom(this.online);
+    }
+  }
+
+  _trainMinibatch() {
+    const batch = this.buffer.sample(this.batchSize);
+    let loss = 0;
+    for (const t of batch) {
+      let target = t.reward;
+      if (!t.terminated) {
+        const nextQ = this.target.forward(t.nextFeatures);
+        target += this.gamma * Math.max(nextQ[0], nextQ[1], nextQ[2], nextQ[3]);
+      }
+
+      const q = this.online.forward(t.features);
+      const error = q[t.action] - target;
+      // Huber loss: quadratic near 0, linear past ±1
+      loss += Math.abs(error) <= 1 ? 0.5 * error * error : Math.abs(error) - 0.5;
+
+      const dOutput = new Float64Array(NUM_ACTIONS);
+      dOutput[t.action] = Math.max(-1, Math.min(1, error)) / batch.length;
+      this.online.backward(dOutput);
+    }
+    this.online.step(this.learningRate);
+    this.lastLoss = loss / batch.length;
+    this.totalUpdates++;
+  }
+
+  /** Q-values for a cell under the current signal field (for display). */
+  getQ(row, col) {
+    return Array.from(this.online.forward(dqnFeatures(this.signalField, row, col, this.includePosition)));
+  }
+
+  getMaxQ(row, col) {
+    return Math.max(...this.getQ(row, col));
+  }
+
+  endEpisode() {
+    this.exploration.endEpisode();
+  }
+
+  /** Fresh random networks, an empty replay buffer and a restarted schedule. */
+  resetQ() {
+    this.buffer.clear();
+    this.exploration.reset();
+    this._buildNetworks();
+  }
+
+  /** Networks, optimizer state and replay buffer as plain data. */
+  snapshot() {
+    return {
+      online: this.online.snapshot(),
+      target: this.target.snapshot(),
+      buffer: { items: this.buffer.items, next: this.buffer.next },
+      steps: this.steps,
+      totalUpdates: this.totalUpdates,
+      lastLoss: this.lastLoss,
+      exploration: this.exploration.snapshot(),
+    };
+  }
+
+  /** Load a snapshot from an agent with the same network shape. */
+  restore(snapshot) {
+    this.online.restore(snapshot.online);
+    this.target.restore(snapshot.target);
+    this.buffer.items = snapshot.buffer.items;
+    this.buffer.next = snapshot.buffer.next;
+    this.steps = snapshot.steps;
+    this.totalUpdates = snapshot.totalUpdates;
+    this.lastLoss = snapshot.lastLoss;
+    if (snapshot.exploration) this.exploration.restore(snapshot.exploration);
+  }
+}
+
+// Node (train.js): export the public surface. In the browser these are
+// plain script globals and this block is skipped.
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MLP, ReplayBuffer, DQN_BASE_FEATURES, dqnFeatures, DQNAgent };
+}
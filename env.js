@@ -13,6 +13,12 @@
  *   - Each step that isn't terminal gives reward -0.01 (small cost of living
  *     to encourage finding the goal efficiently).
  *   - Episodes end after maxSteps to prevent infinite wandering.
+ *   - All of these reward numbers come from a reward spec (see
+ *     DEFAULT_REWARDS) so they can be reshaped without editing this file.
+ *   - Optionally the floor is "slippery": with probability `slip` the agent
+ *     slides perpendicular to the direction it chose (half the time to
+ *     each side). A per-cell `slipMap` overrides the global probability,
+ *     so icy patches can sit next to solid ground.
  *
  * Actions: 0=up, 1=right, 2=down, 3=left
  */
@@ -29,6 +35,27 @@ const ACTION_LEFT  = 3;
 const ACTION_NAMES = ['up', 'right', 'down', 'left'];
 const NUM_ACTIONS  = 4;
 
+/**
+ * Default reward specification. Pass a partial object as the `rewards`
+ * constructor option to override individual entries.
+ *
+ *   step     — entering an empty cell (cost of living)
+ *   wallBump — trying to move into a wall or off the edge
+ *   goal     — entering a goal cell (ends the episode)
+ *   pit      — entering a pit cell (ends the episode)
+ *   timeout  — added on the step that hits maxSteps
+ *   cells    — custom rewards keyed by "row,col"; entering that cell gives
+ *              this value instead of the cell type's reward
+ */
+const DEFAULT_REWARDS = {
+  step: -0.01,
+  wallBump: -0.01,
+  goal: 1.0,
+  pit: -1.0,
+  timeout: 0,
+  cells: {},
+};
+
 // Direction deltas: [dRow, dCol] for each action
 const DELTAS = [
   [-1,  0], // up
@@ -41,27 +68,47 @@ class GridWorld {
   /**
    * @param {number[][]} layout - 2D array of cell types (CELL_* constants)
    * @param {[number,number]} startPos - [row, col] starting position
+   * @param {object} [options]
+   * @param {number} [options.maxSteps=200] - episode length limit
+   * @param {number} [options.slip=0] - probability of sliding perpendicular
+   * @param {number[][]|null} [options.slipMap=null] - per-cell slip probability
+   *   (same shape as layout). Cells set to null/undefined fall back to `slip`.
+   * @param {object} [options.rewards] - partial reward spec (see DEFAULT_REWARDS)
+   * @param {function} [options.rng=Math.random] - random source for slips (see rng.js)
    */
-  constructor(layout, startPos, maxSteps = 200) {
+  constructor(layout, startPos, { maxSteps = 200, slip = 0, slipMap = null, rewards = {}, rng = Math.random } = {}) {
     this.layout = layout;
     this.rows = layout.length;
     this.cols = layout[0].length;
     this.startPos = startPos;
     this.maxSteps = maxSteps;
+    this.slip = slip;
+    this.slipMap = slipMap;
+    this.rewards = { ...DEFAULT_REWARDS, ...rewards };
+    this.rng = rng;
 
     // Current state
     this.agentRow = startPos[0];
     this.agentCol = startPos[1];
-    this.done = false;
+    this.terminated = false; // reached a goal or pit
+    this.truncated = false;  // ran out of steps
+    this.outcome = null;     // 'goal', 'pit', 'timeout', or null while running
     this.totalReward = 0;
     this.steps = 0;
   }
 
+  /** True once the episode is over for either reason. */
+  get done() {
+    return this.terminated || this.truncated;
+  }
+
   /** Reset the environment to starting state. Returns the initial state. */
   reset() {
     this.agentRow = this.startPos[0];
     this.agentCol = this.startPos[1];
-    this.done = false;
+    this.terminated = false;
+    this.truncated = false;
+    this.outcome = null;
     this.totalReward = 0;
     this.steps = 0;
     return this.getState();
@@ -72,72 +119,248 @@ class GridWorld {
     return [this.agentRow, this.agentCol];
   }
 
+  /** Slip probability for the cell the agent is standing on. */
+  slipProbability(row, col) {
+    if (this.slipMap) {
+      const p = this.slipMap[row][col];
+      if (p !== null && p !== undefined) return p;
+    }
+    return this.slip;
+  }
+
   /**
-   * Take an action. Returns { state, reward, done }.
+   * Decide which direction the agent actually moves. With the cell's slip
+   * probability it slides to one of the two perpendicular directions.
+   */
+  _slipAction(action) {
+    const p = this.slipProbability(this.agentRow, this.agentCol);
+    if (p <= 0 || this.rng() >= p) return action;
+    // Perpendicular actions are ±1 around the compass (mod 4)
+    return this.rng() < 0.5
+      ? (action + 1) % NUM_ACTIONS
+      : (action + NUM_ACTIONS - 1) % NUM_ACTIONS;
+  }
+
+  /**
+   * Take an action. Returns { state, reward, terminated, truncated, info }.
+   *
+   * Like Gymnasium, the two ways an episode can end are kept apart:
+   *   terminated — the agent entered a goal or pit. There is no future.
+   *   truncated  — the step limit ran out. The state still has a future
+   *                value; we just stopped watching.
+   *
+   * info = { outcome, moved, slipped, bumped }
+   *   outcome — 'goal', 'pit', 'timeout', or null while the episode runs
+   *   moved   — the direction actually taken (differs from action on a slip)
+   *   slipped — true if the floor sent the agent sideways
+   *   bumped  — true if the agent hit a wall or the edge and stayed put
+   *
    * @param {number} action - one of ACTION_UP/RIGHT/DOWN/LEFT
    */
   step(action) {
     if (this.done) {
-      return { state: this.getState(), reward: 0, done: true };
+      return {
+        state: this.getState(), reward: 0,
+        terminated: this.terminated, truncated: this.truncated,
+        info: { outcome: this.outcome, moved: action, slipped: false, bumped: false },
+      };
     }
 
-    const [dr, dc] = DELTAS[action];
-    const newRow = this.agentRow + dr;
-    const newCol = this.agentCol + dc;
+    const moved = this._slipAction(action);
+    const move = this._moveFrom(this.agentRow, this.agentCol, moved);
+    let reward = move.reward;
 
-    // Boundary check
-    if (newRow < 0 || newRow >= this.rows || newCol < 0 || newCol >= this.cols) {
-      // Stayed in place — still costs a step
-      this.steps++;
-      this.totalReward += -0.01;
-      return { state: this.getState(), reward: -0.01, done: false };
+    this.agentRow = move.row;
+    this.agentCol = move.col;
+    if (move.terminated) {
+      this.terminated = true;
+      this.outcome = move.outcome;
     }
 
-    // Wall check
-    if (this.layout[newRow][newCol] === CELL_WALL) {
-      this.steps++;
-      this.totalReward += -0.01;
-      return { state: this.getState(), reward: -0.01, done: false };
+    this.steps++;
+
+    // Timeout check
+    if (!this.terminated && this.steps >= this.maxSteps) {
+      reward += this.rewards.timeout;
+      this.truncated = true;
+      this.outcome = 'timeout';
     }
 
-    // Move the agent
-    this.agentRow = newRow;
-    this.agentCol = newCol;
-    this.steps++;
+    this.totalReward += reward;
+
+    return {
+      state: this.getState(), reward,
+      terminated: this.terminated, truncated: this.truncated,
+      info: { outcome: this.outcome, moved, slipped: moved !== action, bumped: move.bumped },
+    };
+  }
+
+  /**
+   * Where moving in `direction` from (row, col) leads, without changing
+   * anything: { row, col, reward, terminated, outcome, bumped }.
+   * This is the whole of the world's rules except slipping and the timeout.
+   */
+  _moveFrom(row, col, direction) {
+    const [dr, dc] = DELTAS[direction];
+    const newRow = row + dr;
+    const newCol = col + dc;
+    const rw = this.rewards;
+
+    // Boundary and wall check: stayed in place — still costs a step
+    if (newRow < 0 || newRow >= this.rows || newCol < 0 || newCol >= this.cols ||
+        this.layout[newRow][newCol] === CELL_WALL) {
+      return { row, col, reward: rw.wallBump, terminated: false, outcome: null, bumped: true };
+    }
 
     // Check what we landed on
     const cell = this.layout[newRow][newCol];
-    let reward = -0.01;
-
+    let reward = rw.step;
+    let outcome = null;
     if (cell === CELL_GOAL) {
-      reward = 1.0;
-      this.done = true;
+      reward = rw.goal;
+      outcome = 'goal';
     } else if (cell === CELL_PIT) {
-      reward = -1.0;
-      this.done = true;
+      reward = rw.pit;
+      outcome = 'pit';
     }
 
-    this.totalReward += reward;
+    // A custom per-cell reward replaces whatever the cell type gives
+    const custom = rw.cells[`${newRow},${newCol}`];
+    if (custom !== undefined) reward = custom;
 
-    // Timeout check
-    if (!this.done && this.steps >= this.maxSteps) {
-      this.done = true;
+    return { row: newRow, col: newCol, reward, terminated: outcome !== null, outcome, bumped: false };
+  }
+
+  /**
+   * The transition model: every possible result of taking `action` at
+   * (row, col), as [{ prob, row, col, reward, terminated }, ...].
+   * Includes slipping; ignores the timeout (which depends on time, not state).
+   * Planners use this to compute exact values without sampling.
+   */
+  transitions(row, col, action) {
+    const p = this.slipProbability(row, col);
+    const results = [];
+    const add = (prob, direction) => {
+      if (prob <= 0) return;
+      const m = this._moveFrom(row, col, direction);
+      results.push({ prob, row: m.row, col: m.col, reward: m.reward, terminated: m.terminated });
+    };
+    add(1 - p, action);
+    add(p / 2, (action + 1) % NUM_ACTIONS);
+    add(p / 2, (action + NUM_ACTIONS - 1) % NUM_ACTIONS);
+    return results;
+  }
+}
+
+/**
+ * BFS over the layout from a single cell, returning walkable path distances.
+ * Walls are impassable. Returns a grid (array of Float64Array rows) of
+ * distances, with -1 for unreachable cells.
+ *
+ * Shared by SignalField (signal propagation) and the layout tools
+ * (reachability checks), so "reachable" means the same thing everywhere.
+ */
+function bfsDistances(layout, startRow, startCol) {
+  const rows = layout.length;
+  const cols = layout[0].length;
+  const dist = [];
+  for (let r = 0; r < rows; r++) {
+    dist[r] = new Float64Array(cols).fill(-1);
+  }
+  dist[startRow][startCol] = 0;
+  const queue = [[startRow, startCol]];
+  let head = 0;
+
+  while (head < queue.length) {
+    const [r, c] = queue[head++];
+    const d = dist[r][c];
+
+    for (const [dr, dc] of DELTAS) {
+      const nr = r + dr;
+      const nc = c + dc;
+      if (nr < 0 || nr >= rows || nc < 0 || nc >= cols) continue;
+      if (layout[nr][nc] === CELL_WALL) continue;
+      if (dist[nr][nc] >= 0) continue; // already visited
+      dist[nr][nc] = d + 1;
+      queue.push([nr, nc]);
     }
+  }
 
-    return { state: this.getState(), reward, done: this.done };
+  return dist;
+}
+
+/**
+ * Signal shape — how an emitter's signal falls off with distance.
+ *
+ * A decay spec is a plain object:
+ *   kind   — 'inverse'        1 / (1 + d)            (the original shape)
+ *            'inverse-square' 1 / (1 + d)²
+ *            'exponential'    exp(−rate · d)
+ *            'linear'         1 − d / range, and 0 from `range` on
+ *            'gaussian'       exp(−d² / (2 · sigma²))
+ *   metric — 'path'       walkable BFS distance; walls block, signal bends around them
+ *            'manhattan'  |Δrow| + |Δcol|, straight through walls
+ *            'euclidean'  straight-line distance, only where the line of
+ *                         sight isn't blocked by a wall (else no signal)
+ *   range, rate, sigma — parameters for the kinds that use them
+ *
+ * An emitter's signal at distance d is strength · falloff(d).
+ */
+
+const SIGNAL_DECAY_KINDS = ['inverse', 'inverse-square', 'exponential', 'linear', 'gaussian'];
+const SIGNAL_METRICS = ['path', 'manhattan', 'euclidean'];
+const DEFAULT_SIGNAL_DECAY = { kind: 'inverse', metric: 'path', range: 8, rate: 0.5, sigma: 3 };
+
+/** Falloff in [0, 1] at distance d (d ≥ 0) for a decay spec. */
+function signalFalloff(d, { kind, range, rate, sigma }) {
+  switch (kind) {
+    case 'inverse':        return 1 / (1 + d);
+    case 'inverse-square': return 1 / ((1 + d) * (1 + d));
+    case 'exponential':    return Math.exp(-rate * d);
+    case 'linear':         return Math.max(0, 1 - d / range);
+    case 'gaussian':       return Math.exp(-(d * d) / (2 * sigma * sigma));
+    default: throw new Error(`Unknown signal decay '${kind}'.`);
   }
 }
 
-// --- Default layout: a simple 6x6 grid ---
-//
-//  . . . . . G
-//  . W W . . .
-//  . . . . W .
-//  . . P . . .
-//  . W . . W .
-//  A . . . . .
-//
-// A = agent start (5,0), G = goal (0,5), P = pit (3,2), W = walls
+/**
+ * Is the straight line between two cell centres clear of walls? Sampled
+ * every quarter cell, so a line that only grazes a wall's corner passes.
+ */
+function lineOfSight(layout, r0, c0, r1, c1) {
+  const samples = Math.ceil(Math.max(Math.abs(r1 - r0), Math.abs(c1 - c0)) * 4);
+  for (let i = 1; i < samples; i++) {
+    const t = i / samples;
+    const r = Math.round(r0 + (r1 - r0) * t);
+    const c = Math.round(c0 + (c1 - c0) * t);
+    if (layout[r][c] === CELL_WALL) return false;
+  }
+  return true;
+}
+
+/**
+ * Distances from one cell to every cell under a metric (see the decay spec
+ * above). Same shape as bfsDistances: -1 where the signal can't get to.
+ */
+function signalDistances(layout, startRow, startCol, metric) {
+  if (metric === 'path') return bfsDistances(layout, startRow, startCol);
+  if (!SIGNAL_METRICS.includes(metric)) throw new Error(`Unknown signal distance metric '${metric}'.`);
+
+  const dist = [];
+  for (let r = 0; r < layout.length; r++) {
+    dist[r] = new Float64Array(layout[0].length);
+    for (let c = 0; c < layout[0].length; c++) {
+      const dr = r - startRow;
+      const dc = c - startCol;
+      if (metric === 'manhattan') {
+        dist[r][c] = Math.abs(dr) + Math.abs(dc);
+      } else {
+        dist[r][c] = lineOfSight(layout, startRow, startCol, r, c) ? Math.sqrt(dr * dr + dc * dc) : -1;
+      }
+    }
+  }
+  return dist;
+}
 
 /**
  * SignalField — computes a "scent" field over the grid.
@@ -154,13 +377,60 @@ class GridWorld {
  *
  * decay formula:  signal(d) = strength / (1 + d)
  *   where d = shortest walkable path distance (BFS) from the emitter.
+ *
+ * That's the default; each emitter carries its own decay spec (see
+ * signalFalloff and signalDistances above), built from the options:
+ *   new SignalField(env, { decay: { kind: 'gaussian', sigma: 2 },
+ *                          perChannel: { pit: { metric: 'euclidean' } } })
+ * gives every emitter a Gaussian falloff, and pits line-of-sight distance.
+ * Change an emitter's `decay` and call update() to reshape just that one.
+ *
+ * Channels: every emitter belongs to a channel named after its type
+ * ('goal', 'pit', ...), and each channel is also kept as its own field.
+ * In the combined field a cell halfway between a goal and a pit reads
+ * about 0; its channels still say "goal this way, pit that way".
+ * read() and gradient() take an optional channel name (default: the
+ * combined field); readChannels() and gradientChannels() return every
+ * channel at once, in `channels` order. A channel keeps its emitters'
+ * sign, so the combined field is the sum of the channels.
+ *
+ * Agents can leave signals too, updated as the episode runs (runEpisode
+ * calls beginEpisode() and then visit() after every step):
+ *   agentStrength — an emitter on the 'agent' channel that follows the
+ *                   agent around (more agents: addEmitter/moveEmitter)
+ *   trail         — a pheromone trail on the 'trail' channel. A visited
+ *                   cell is marked 1, and every step all marks fade by
+ *                   `evaporation`; the channel is `strength` × mark.
+ *                   Negative strength repels (self-avoidance), positive
+ *                   attracts. With `persist` the trail carries over to
+ *                   the next episode, so earlier runs guide later ones
+ *                   (stigmergy).
+ * Unlike emitters, the trail doesn't spread: it lies on the cells walked.
  */
 
+// Built-in channels, always present (possibly all zero) in this order
+const SIGNAL_CHANNELS = ['goal', 'pit'];
+
+const DEFAULT_TRAIL = { strength: 0, evaporation: 0.1, persist: false };
+
 class SignalField {
-  constructor(env) {
+  /**
+   * @param {GridWorld} env
+   * @param {object} [options]
+   * @param {object} [options.decay] - decay spec fields for every emitter
+   * @param {object} [options.perChannel] - channel name → decay spec fields, overriding `decay`
+   * @param {number} [options.agentStrength=0] - strength of the agent's own emitter (0 = none)
+   * @param {object} [options.trail] - { strength, evaporation, persist } (strength 0 = no trail)
+   */
+  constructor(env, { decay = {}, perChannel = {}, agentStrength = 0, trail = {} } = {}) {
     this.env = env;
     this.rows = env.rows;
     this.cols = env.cols;
+    // kept so an equivalent field can be built for another env
+    this.options = { decay, perChannel, agentStrength, trail };
+    this.trail = { ...DEFAULT_TRAIL, ...trail };
+    this.trailMarks = this._createGrid(0); // 1 where just visited, fading each step
+    this.agentEmitter = null;              // placed by beginEpisode()
 
     // The combined signal at each cell
     this.field = this._createGrid(0);
@@ -170,9 +440,9 @@ class SignalField {
     for (let r = 0; r < this.rows; r++) {
       for (let c = 0; c < this.cols; c++) {
         if (env.layout[r][c] === CELL_GOAL) {
-          this.emitters.push({ row: r, col: c, strength: 1.0 });
+          this.emitters.push({ row: r, col: c, strength: 1.0, channel: 'goal', decay: this.decayFor('goal') });
         } else if (env.layout[r][c] === CELL_PIT) {
-          this.emitters.push({ row: r, col: c, strength: -1.0 });
+          this.emitters.push({ row: r, col: c, strength: -1.0, channel: 'pit', decay: this.decayFor('pit') });
         }
       }
     }
@@ -189,109 +459,518 @@ class SignalField {
     return g;
   }
 
+  /** The full decay spec for a new emitter on a channel, from the field's options. */
+  decayFor(channel) {
+    return { ...DEFAULT_SIGNAL_DECAY, ...this.options.decay, ...this.options.perChannel[channel] };
+  }
+
   /**
    * BFS from a single cell, returning path distances.
    * Walls are impassable. Returns a grid of distances (-1 = unreachable).
    */
   _bfsDistances(startRow, startCol) {
-    const dist = this._createGrid(-1);
-    dist[startRow][startCol] = 0;
-    const queue = [[startRow, startCol]];
-    let head = 0;
-
-    while (head < queue.length) {
-      const [r, c] = queue[head++];
-      const d = dist[r][c];
-
-      for (const [dr, dc] of DELTAS) {
-        const nr = r + dr;
-        const nc = c + dc;
-        if (nr < 0 || nr >= this.rows || nc < 0 || nc >= this.cols) continue;
-        if (this.env.layout[nr][nc] === CELL_WALL) continue;
-        if (dist[nr][nc] >= 0) continue; // already visited
-        dist[nr][nc] = d + 1;
-        queue.push([nr, nc]);
-      }
-    }
-
-    return dist;
+    return bfsDistances(this.env.layout, startRow, startCol);
   }
 
-  /** Recompute the full signal field from all emitters. */
+  /**
+   * Recompute the full signal field (and every channel) from all emitters,
+   * from scratch. After changing emitters or walls use update() or the
+   * methods below instead; they only redo what changed.
+   */
   compute() {
+    this._cache = new Map();
+    this.update();
+  }
+
+  /**
+   * Bring the field up to date with `emitters` and the trail.
+   *
+   * Each emitter's distance map and signal grid are cached. The distance
+   * map (the BFS, the expensive part) is only recomputed if the emitter
+   * moved, its metric changed or a wall edit invalidated it; the signal
+   * grid only if its strength or decay spec changed as well. The channels
+   * and the combined field are then re-summed from the cached grids, so an
+   * emitter can be changed in place (e.g. a new `decay`) and update()
+   * called. Emitters no longer in `emitters` drop out of the cache.
+   */
+  update() {
+    // The built-in channels, then any other emitter types in order of appearance
+    // (the agent's before it has been placed, too), then the trail
+    const types = this.emitters.map(em => em.channel);
+    if (this.options.agentStrength !== 0) types.push('agent');
+    this.channels = [...new Set([...SIGNAL_CHANNELS, ...types])];
+    if (this.trail.strength !== 0) this.channels.push('trail');
+
+    const previous = this.channelFields || {};
+    this.channelFields = {};
+    for (const name of this.channels) {
+      const grid = previous[name] || this._createGrid(0);
+      for (let r = 0; r < this.rows; r++) grid[r].fill(0);
+      this.channelFields[name] = grid;
+    }
+
     // Zero out
     for (let r = 0; r < this.rows; r++) {
       this.field[r].fill(0);
     }
 
     // Accumulate signal from each emitter
+    const cache = new Map();
     for (const em of this.emitters) {
-      const dist = this._bfsDistances(em.row, em.col);
+      const { values } = this._emitterSignal(em);
+      cache.set(em, this._cache.get(em));
+      const channel = this.channelFields[em.channel];
+      for (let r = 0; r < this.rows; r++) {
+        for (let c = 0; c < this.cols; c++) {
+          this.field[r][c] += values[r][c];
+          channel[r][c] += values[r][c];
+        }
+      }
+    }
+    this._cache = cache;
+
+    if (this.trail.strength !== 0) {
+      const trail = this.channelFields.trail;
       for (let r = 0; r < this.rows; r++) {
         for (let c = 0; c < this.cols; c++) {
-          if (dist[r][c] < 0) continue; // unreachable
-          this.field[r][c] += em.strength / (1 + dist[r][c]);
+          trail[r][c] = this.trail.strength * this.trailMarks[r][c];
+          this.field[r][c] += trail[r][c];
         }
       }
     }
   }
 
-  /** Read the combined signal at a cell. */
-  read(row, col) {
-    return this.field[row][col];
+  /** An emitter's cached { dist, values } grids, recomputing only what is stale. */
+  _emitterSignal(em) {
+    const decay = em.decay || this.decayFor(em.channel);
+    let entry = this._cache.get(em);
+    if (!entry || entry.row !== em.row || entry.col !== em.col || entry.metric !== decay.metric) {
+      const dist = decay.metric === 'path'
+        ? this._bfsDistances(em.row, em.col)
+        : signalDistances(this.env.layout, em.row, em.col, decay.metric);
+      entry = { row: em.row, col: em.col, metric: decay.metric, dist, shape: null, values: null };
+      this._cache.set(em, entry);
+    }
+
+    const shape = [em.strength, decay.kind, decay.range, decay.rate, decay.sigma].join();
+    if (entry.shape !== shape) {
+      entry.values = this._createGrid(0);
+      for (let r = 0; r < this.rows; r++) {
+        for (let c = 0; c < this.cols; c++) {
+          if (entry.dist[r][c] < 0) continue; // unreachable
+          entry.values[r][c] = em.strength * signalFalloff(entry.dist[r][c], decay);
+        }
+      }
+      entry.shape = shape;
+    }
+    return entry;
+  }
+
+  // --- Dynamic worlds: emitters and walls that change ---
+
+  /**
+   * Add an emitter { row, col, strength, channel = 'agent', decay } and
+   * update. A missing decay spec comes from the field's options for that
+   * channel. Returns the emitter (for moveEmitter/removeEmitter).
+   */
+  addEmitter({ row, col, strength, channel = 'agent', decay = null }) {
+    const emitter = { row, col, strength, channel, decay: decay || this.decayFor(channel) };
+    this.emitters.push(emitter);
+    this.update();
+    return emitter;
+  }
+
+  removeEmitter(emitter) {
+    const i = this.emitters.indexOf(emitter);
+    if (i < 0) return;
+    this.emitters.splice(i, 1);
+    this.update();
+  }
+
+  /** Move an emitter; only its own distance map is recomputed. */
+  moveEmitter(emitter, row, col) {
+    if (emitter.row === row && emitter.col === col) return;
+    emitter.row = row;
+    emitter.col = col;
+    this.update();
+  }
+
+  /**
+   * Turn an empty cell into a wall or a wall back into an empty cell, and
+   * update. Edits env.layout in place (copy it first if it's shared), so
+   * the env sees the wall too; anything else built on the layout, such as
+   * a solved planner, is the caller's to refresh.
+   *
+   * Only the distance maps the edit can change are recomputed: path maps
+   * that reached the cell (a new wall) or one of its neighbours (a removed
+   * wall), and every line-of-sight map. Manhattan maps ignore walls.
+   * Returns the new cell type.
+   */
+  toggleWall(row, col) {
+    const layout = this.env.layout;
+    const cell = layout[row][col];
+    if (cell !== CELL_EMPTY && cell !== CELL_WALL) {
+      throw new Error(`Cell (${row}, ${col}) is a goal or pit; only empty cells and walls can be toggled.`);
+    }
+    const addingWall = cell === CELL_EMPTY;
+    layout[row][col] = addingWall ? CELL_WALL : CELL_EMPTY;
+
+    for (const [em, entry] of this._cache) {
+      const stale = entry.metric === 'euclidean' ||
+        (entry.metric === 'path' && this._pathMapAffected(entry.dist, row, col, addingWall));
+      if (stale) this._cache.delete(em);
+    }
+    this.update();
+    return layout[row][col];
+  }
+
+  /**
+   * Can walling off (or opening up) this cell change a BFS distance map?
+   * A new wall only matters if the cell was reachable; a removed wall only
+   * if a neighbour is, since otherwise the cell stays cut off.
+   */
+  _pathMapAffected(dist, row, col, addingWall) {
+    if (addingWall) return dist[row][col] >= 0;
+    for (const [dr, dc] of DELTAS) {
+      const nr = row + dr;
+      const nc = col + dc;
+      if (nr >= 0 && nr < this.rows && nc >= 0 && nc < this.cols && dist[nr][nc] >= 0) return true;
+    }
+    return false;
+  }
+
+  // --- The agent's own signals, as an episode runs ---
+
+  /** True if the agent leaves anything behind (the field changes every step). */
+  get tracksAgent() {
+    return this.options.agentStrength !== 0 || this.trail.strength !== 0;
+  }
+
+  /** Start of an episode with the agent at (row, col): place its emitter, reset or keep the trail. */
+  beginEpisode(row, col) {
+    if (!this.tracksAgent) return;
+    if (!this.trail.persist) {
+      for (let r = 0; r < this.rows; r++) this.trailMarks[r].fill(0);
+    }
+    if (this.options.agentStrength !== 0 && !this.agentEmitter) {
+      this.agentEmitter = {
+        row, col, strength: this.options.agentStrength, channel: 'agent', decay: this.decayFor('agent'),
+      };
+      this.emitters.push(this.agentEmitter);
+    }
+    this.visit(row, col);
+  }
+
+  /** The agent moved to (row, col): fade the trail, mark the cell, move its emitter. */
+  visit(row, col) {
+    if (!this.tracksAgent) return;
+    if (this.trail.strength !== 0) {
+      const keep = 1 - this.trail.evaporation;
+      for (let r = 0; r < this.rows; r++) {
+        for (let c = 0; c < this.cols; c++) this.trailMarks[r][c] *= keep;
+      }
+      this.trailMarks[row][col] = 1;
+    }
+    if (this.agentEmitter) {
+      this.agentEmitter.row = row;
+      this.agentEmitter.col = col;
+    }
+    this.update();
+  }
+
+  /** The grid for a channel name, or the combined field for null/undefined. */
+  _grid(channel) {
+    if (channel === null || channel === undefined) return this.field;
+    const grid = this.channelFields[channel];
+    if (!grid) throw new Error(`Unknown signal channel '${channel}'.`);
+    return grid;
+  }
+
+  /** Read the signal at a cell: combined, or one channel's. */
+  read(row, col, channel = null) {
+    return this._grid(channel)[row][col];
   }
 
   /**
    * Read the signal gradient: the signal value in each of the 4 neighboring
    * cells (or the current cell if the neighbor is a wall/boundary).
-   * Returns [up, right, down, left] signal values.
+   * Returns [up, right, down, left] signal values, combined or for one channel.
    */
-  gradient(row, col) {
+  gradient(row, col, channel = null) {
+    const field = this._grid(channel);
     const result = [];
     for (const [dr, dc] of DELTAS) {
       const nr = row + dr;
       const nc = col + dc;
       if (nr < 0 || nr >= this.rows || nc < 0 || nc >= this.cols) {
-        result.push(this.field[row][col]); // boundary: same as current
+        result.push(field[row][col]); // boundary: same as current
       } else if (this.env.layout[nr][nc] === CELL_WALL) {
-        result.push(this.field[row][col]); // wall: same as current
+        result.push(field[row][col]); // wall: same as current
       } else {
-        result.push(this.field[nr][nc]);
+        result.push(field[nr][nc]);
       }
     }
     return result; // [up, right, down, left]
   }
+
+  /** Every channel's signal at a cell, in `channels` order. */
+  readChannels(row, col) {
+    return this.channels.map(name => this.channelFields[name][row][col]);
+  }
+
+  /** Every channel's [up, right, down, left] gradient, in `channels` order. */
+  gradientChannels(row, col) {
+    return this.channels.map(name => this.gradient(row, col, name));
+  }
 }
 
-const DEFAULT_LAYOUT = [
-  [0, 0, 0, 0, 0, 2],  // row 0: goal at (0,5)
-  [0, 1, 1, 0, 0, 0],  // row 1: walls
-  [0, 0, 0, 0, 1, 0],  // row 2: wall
-  [0, 0, 3, 0, 0, 0],  // row 3: pit at (3,2)
-  [0, 1, 0, 0, 1, 0],  // row 4: walls
-  [0, 0, 0, 0, 0, 0],  // row 5: agent starts at (5,0)
-];
+/**
+ * SensedStates — what an agent sensed in the last two cells it acted in.
+ *
+ * A trail or the agent's own emitter changes the field every step, and the
+ * episode loop moves them on (and picks a') before calling learn(s, ...).
+ * Sensing s again then would see the agent already at s', so agents that
+ * read a SignalField remember what they sensed in act() and recall it in
+ * learn(). The env hands out a new state array each step, so the array
+ * itself is the key.
+ */
+
+class SensedStates {
+  constructor() {
+    this.previous = null;
+    this.latest = null;
+  }
+
+  remember(gridState, sensed) {
+    this.previous = this.latest;
+    this.latest = { gridState, sensed };
+  }
+
+  /** What was sensed in `gridState`, or null if the agent didn't act there. */
+  recall(gridState) {
+    if (this.latest && this.latest.gridState === gridState) return this.latest.sensed;
+    if (this.previous && this.previous.gridState === gridState) return this.previous.sensed;
+    return null;
+  }
+}
+
+/**
+ * Layout text format — one line per row, one character per cell:
+ *
+ *   .  empty      W  wall      G  goal      P  pit      A  agent start (empty)
+ *
+ * Cells may be separated by spaces (". W G") or written solid (".WG").
+ * Blank lines and leading/trailing whitespace are ignored.
+ */
+
+const LAYOUT_CHARS = {
+  '.': CELL_EMPTY,
+  'W': CELL_WALL,
+  'G': CELL_GOAL,
+  'P': CELL_PIT,
+  'A': CELL_EMPTY,
+};
+
+const CELL_CHARS = ['.', 'W', 'G', 'P']; // indexed by CELL_* value
+
+/**
+ * Parse layout text into { layout, start }.
+ * Throws an Error describing the first problem found: an unknown character,
+ * a row of the wrong length, or a missing/duplicated start cell.
+ */
+function parseLayout(text) {
+  const lines = text.split(/\r?\n/)
+    .map(line => line.replace(/\s+/g, ''))
+    .filter(line => line.length > 0);
+
+  if (lines.length === 0) {
+    throw new Error('Layout is empty.');
+  }
+
+  const cols = lines[0].length;
+  const layout = [];
+  let start = null;
+
+  for (let r = 0; r < lines.length; r++) {
+    const line = lines[r];
+    if (line.length !== cols) {
+      throw new Error(`Row ${r} has ${line.length} cells, expected ${cols} (rows must all be the same length).`);
+    }
+
+    layout[r] = [];
+    for (let c = 0; c < cols; c++) {
+      const ch = line[c].toUpperCase();
+      if (!(ch in LAYOUT_CHARS)) {
+        throw new Error(`Unknown character '${line[c]}' at row ${r}, col ${c}. Use . W G P A.`);
+      }
+      if (ch === 'A') {
+        if (start) {
+          throw new Error(`More than one start cell (A): (${start[0]},${start[1]}) and (${r},${c}).`);
+        }
+        start = [r, c];
+      }
+      layout[r][c] = LAYOUT_CHARS[ch];
+    }
+  }
+
+  if (!start) {
+    throw new Error('Layout has no start cell (A).');
+  }
+
+  return { layout, start };
+}
+
+/**
+ * Serialize a layout back to text in the format parseLayout reads.
+ * Accepts a GridWorld or anything with { layout, startPos } (or { layout, start }).
+ */
+function serializeLayout(env) {
+  const [sr, sc] = env.startPos || env.start;
+  return env.layout
+    .map((row, r) => Array.from(row, (cell, c) => (r === sr && c === sc) ? 'A' : CELL_CHARS[cell]).join(' '))
+    .join('\n');
+}
+
+/**
+ * Check a layout for problems before building a GridWorld on it.
+ *
+ * Returns { valid, errors, warnings }. Each entry is
+ *   { code, message, row?, col?, cells? }
+ * where `code` is a stable identifier:
+ *
+ *   errors (the layout can't be run sensibly):
+ *     empty, non-rectangular, unknown-cell, start-missing,
+ *     start-out-of-bounds, start-on-wall, start-on-terminal, goal-unreachable-all
+ *   warnings (it runs, but probably not as intended):
+ *     no-goal, goal-unreachable, unreachable-cells
+ *
+ * Reachability uses bfsDistances from the start, so pits count as
+ * walkable (the agent can reach them — it just won't come back).
+ */
+function validateLayout(layout, start) {
+  const errors = [];
+  const warnings = [];
+  const result = () => ({ valid: errors.length === 0, errors, warnings });
+
+  if (!Array.isArray(layout) || layout.length === 0 || !layout[0] || layout[0].length === 0) {
+    errors.push({ code: 'empty', message: 'Layout has no cells.' });
+    return result();
+  }
+
+  const rows = layout.length;
+  const cols = layout[0].length;
+  for (let r = 1; r < rows; r++) {
+    if (layout[r].length !== cols) {
+      errors.push({
+        code: 'non-rectangular', row: r,
+        message: `Row ${r} has ${layout[r].length} cells, expected ${cols}.`,
+      });
+    }
+  }
+  // Nothing below makes sense on a ragged grid
+  if (errors.length > 0) return result();
+
+  const goals = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const cell = layout[r][c];
+      if (cell === CELL_GOAL) goals.push([r, c]);
+      else if (cell !== CELL_EMPTY && cell !== CELL_WALL && cell !== CELL_PIT) {
+        errors.push({ code: 'unknown-cell', row: r, col: c, message: `Unknown cell value ${cell} at (${r},${c}).` });
+      }
+    }
+  }
+
+  if (!Array.isArray(start) || start.length !== 2) {
+    errors.push({ code: 'start-missing', message: 'No start position given.' });
+    return result();
+  }
+
+  const [sr, sc] = start;
+  if (sr < 0 || sr >= rows || sc < 0 || sc >= cols) {
+    errors.push({ code: 'start-out-of-bounds', row: sr, col: sc, message: `Start (${sr},${sc}) is outside the ${rows}x${cols} grid.` });
+    return result();
+  }
+  const startCell = layout[sr][sc];
+  if (startCell === CELL_WALL) {
+    errors.push({ code: 'start-on-wall', row: sr, col: sc, message: `Start (${sr},${sc}) is on a wall.` });
+    return result();
+  }
+  if (startCell === CELL_GOAL || startCell === CELL_PIT) {
+    errors.push({ code: 'start-on-terminal', row: sr, col: sc, message: `Start (${sr},${sc}) is on a ${startCell === CELL_GOAL ? 'goal' : 'pit'}.` });
+  }
 
-const DEFAULT_START = [5, 0];
+  const dist = bfsDistances(layout, sr, sc);
+
+  if (goals.length === 0) {
+    warnings.push({ code: 'no-goal', message: 'Layout has no goal; episodes can only end in a pit or by timing out.' });
+  } else {
+    const unreachable = goals.filter(([r, c]) => dist[r][c] < 0);
+    if (unreachable.length === goals.length) {
+      errors.push({ code: 'goal-unreachable-all', cells: unreachable, message: 'No goal can be reached from the start.' });
+    } else {
+      for (const [r, c] of unreachable) {
+        warnings.push({ code: 'goal-unreachable', row: r, col: c, message: `Goal (${r},${c}) can't be reached from the start.` });
+      }
+    }
+  }
+
+  const isolated = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      if (layout[r][c] === CELL_WALL || layout[r][c] === CELL_GOAL) continue; // goals reported above
+      if (dist[r][c] < 0) isolated.push([r, c]);
+    }
+  }
+  if (isolated.length > 0) {
+    warnings.push({
+      code: 'unreachable-cells', cells: isolated,
+      message: `${isolated.length} open cell${isolated.length === 1 ? ' is' : 's are'} walled off from the start.`,
+    });
+  }
+
+  return result();
+}
+
+// --- Default layout: a simple 6x6 grid ---
+// A = agent start (5,0), G = goal (0,5), P = pit (3,2), W = walls
+
+const DEFAULT_MAP = `
+  . . . . . G
+  . W W . . .
+  . . . . W .
+  . . P . . .
+  . W . . W .
+  A . . . . .
+`;
+
+const { layout: DEFAULT_LAYOUT, start: DEFAULT_START } = parseLayout(DEFAULT_MAP);
 
 // --- Transfer test layout: different shape, same idea ---
-//
-//  . . . . . .
-//  . . . W . .
-//  G . . W . .
-//  . . . . . P
-//  . W W . . .
-//  . . . . . A
-//
 // A = agent start (5,5), G = goal (2,0), P = pit (3,5)
 
-const TRANSFER_LAYOUT = [
-  [0, 0, 0, 0, 0, 0],
-  [0, 0, 0, 1, 0, 0],
-  [2, 0, 0, 1, 0, 0],
-  [0, 0, 0, 0, 0, 3],
-  [0, 1, 1, 0, 0, 0],
-  [0, 0, 0, 0, 0, 0],
-];
-
-const TRANSFER_START = [5, 5];
+const TRANSFER_MAP = `
+  . . . . . .
+  . . . W . .
+  G . . W . .
+  . . . . . P
+  . W W . . .
+  . . . . . A
+`;
+
+const { layout: TRANSFER_LAYOUT, start: TRANSFER_START } = parseLayout(TRANSFER_MAP);
+
+// Node (train.js): export the public surface. In the browser these are
+// plain script globals and this block is skipped.
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CELL_EMPTY, CELL_WALL, CELL_GOAL, CELL_PIT,
+    ACTION_UP, ACTION_RIGHT, ACTION_DOWN, ACTION_LEFT, ACTION_NAMES, NUM_ACTIONS,
+    DELTAS, DEFAULT_REWARDS,
+    GridWorld, SIGNAL_CHANNELS, DEFAULT_TRAIL, SIGNAL_DECAY_KINDS, SIGNAL_METRICS, DEFAULT_SIGNAL_DECAY,
+    SignalField, SensedStates, signalFalloff, signalDistances, bfsDistances,
+    parseLayout, serializeLayout, validateLayout,
+    DEFAULT_MAP, DEFAULT_LAYOUT, DEFAULT_START,
+    TRANSFER_MAP, TRANSFER_LAYOUT, TRANSFER_START,
+  };
+}
@@ -0,0 +1,346 @@
+'use strict';
+
+// Node: there are no <script> tags sharing globals, so pull in what this
+// file uses from the files index.html loads before it.
+if (typeof module !== 'undefined' && module.exports) {
+  Object.assign(globalThis, require('./env.js'));
+}
+
+/**
+ * Exploration strategies — how a value-based agent turns its Q-values for
+ * one state into an action.
+ *
+ * Every strategy has the same interface, so any agent can use any of them:
+ *   select(qValues, rng, key)     → action (and records the visit, for UCB)
+ *   probabilities(qValues, key)   → [p(up), p(right), p(down), p(left)]
+ *   endEpisode()                  → advance the schedule by one episode
+ *   reset()                       → back to episode 0, forget visit counts
+ *   value                         → current ε or τ (null if there's none)
+ *   initialQ                      → value to fill a fresh Q-table with
+ *   snapshot() / restore(snap)    → plain data, for the training worker
+ *
+ * `key` identifies the state (any number or string) and is only used by
+ * UCB to count visits.
+ *
+ * Strategies are built from plain specs with createExploration(), e.g.
+ *   { strategy: 'epsilon', epsilon: 0.3, schedule: 'linear', end: 0.01, decayEpisodes: 500 }
+ * so the same settings can be posted to the worker.
+ */
+
+/**
+ * Schedule — a value that changes from `start` to `end` over episodes.
+ *
+ *   constant:    always start
+ *   linear:      straight line from start to end over decayEpisodes, then end
+ *   exponential: start · (end / start)^(episode / decayEpisodes), reaching
+ *                end at decayEpisodes, then end
+ */
+
+const SCHEDULE_KINDS = ['constant', 'linear', 'exponential'];
+
+class Schedule {
+  constructor({ start, end = start, kind = 'constant', decayEpisodes = 500 }) {
+    if (!SCHEDULE_KINDS.includes(kind)) throw new Error(`Unknown schedule '${kind}'.`);
+    this.start = start;
+    this.end = end;
+    this.kind = kind;
+    this.decayEpisodes = Math.max(1, decayEpisodes);
+  }
+
+  valueAt(episode) {
+    const t = Math.min(1, episode / this.decayEpisodes);
+    switch (this.kind) {
+      case 'linear':
+        return this.start + (this.end - this.start) * t;
+      case 'exponential':
+        // Geometric interpolation needs both ends positive
+        if (this.start <= 0 || this.end <= 0) return this.start + (this.end - this.start) * t;
+        return this.start * Math.pow(this.end / this.start, t);
+      default:
+        return this.start;
+    }
+  }
+}
+
+/** Index of the largest value, ties broken with rng. */
+function argmaxRandomTie(values, rng) {
+  let best = values[0];
+  let ties = [0];
+  for (let a = 1; a < values.length; a++) {
+    if (values[a] > best) {
+      best = values[a];
+      ties = [a];
+    } else if (values[a] === best) {
+      ties.push(a);
+    }
+  }
+  return ties[Math.floor(rng() * ties.length)];
+}
+
+/** Probabilities for acting greedily: the tied best actions share 1. */
+function greedyProbabilities(qValues) {
+  let maxQ = -Infinity;
+  for (let a = 0; a < NUM_ACTIONS; a++) maxQ = Math.max(maxQ, qValues[a]);
+  const greedy = Array.from(qValues, v => v === maxQ);
+  const numGreedy = greedy.filter(Boolean).length;
+  return greedy.map(g => (g ? 1 / numGreedy : 0));
+}
+
+/**
+ * Greedy — always the best action. With initialValue > 0 this is
+ * "optimistic initial values": every Q starts above anything the agent can
+ * actually earn, so each untried action looks best until it's been tried
+ * and pulled down. Exploration without any randomness.
+ */
+
+class Greedy {
+  constructor({ initialValue = 0 } = {}) {
+    this.initialValue = initialValue;
+  }
+
+  get value() {
+    return null;
+  }
+
+  get initialQ() {
+    return this.initialValue;
+  }
+
+  select(qValues, rng) {
+    return argmaxRandomTie(qValues, rng);
+  }
+
+  probabilities(qValues) {
+    return greedyProbabilities(qValues);
+  }
+
+  endEpisode() {}
+
+  reset() {}
+
+  snapshot() {
+    return {};
+  }
+
+  restore(_snapshot) {}
+}
+
+/**
+ * EpsilonGreedy — with probability ε a uniformly random action, otherwise
+ * the greedy one. ε can decay over episodes (see Schedule), so the agent
+ * explores a lot early and settles down later.
+ */
+
+class EpsilonGreedy {
+  constructor({ epsilon = 0.1, schedule = 'constant', end = 0.01, decayEpisodes = 500 } = {}) {
+    this.schedule = new Schedule({ start: epsilon, end, kind: schedule, decayEpisodes });
+    this.episode = 0;
+  }
+
+  /** Current ε. */
+  get epsilon() {
+    return this.schedule.valueAt(this.episode);
+  }
+
+  get value() {
+    return this.epsilon;
+  }
+
+  get initialQ() {
+    return 0;
+  }
+
+  select(qValues, rng) {
+    if (rng() < this.epsilon) {
+      return Math.floor(rng() * NUM_ACTIONS);
+    }
+    return argmaxRandomTie(qValues, rng);
+  }
+
+  probabilities(qValues) {
+    const eps = this.epsilon;
+    return greedyProbabilities(qValues).map(p => eps / NUM_ACTIONS + (1 - eps) * p);
+  }
+
+  endEpisode() {
+    this.episode++;
+  }
+
+  reset() {
+    this.episode = 0;
+  }
+
+  snapshot() {
+    return { episode: this.episode };
+  }
+
+  restore({ episode }) {
+    this.episode = episode;
+  }
+}
+
+/**
+ * Boltzmann — softmax over Q-values with temperature τ:
+ *
+ *   π(a | s) = exp(Q(s, a) / τ) / Σ_b exp(Q(s, b) / τ)
+ *
+ * Unlike ε-greedy, bad actions are tried less often than nearly-as-good
+ * ones. High τ → nearly uniform; τ → 0 → greedy. τ can decay like ε.
+ */
+
+class Boltzmann {
+  constructor({ temperature = 1, schedule = 'constant', end = 0.05, decayEpisodes = 500 } = {}) {
+    this.schedule = new Schedule({ start: temperature, end, kind: schedule, decayEpisodes });
+    this.episode = 0;
+  }
+
+  /** Current τ (kept above a tiny floor so the softmax stays finite). */
+  get temperature() {
+    return Math.max(1e-6, this.schedule.valueAt(this.episode));
+  }
+
+  get value() {
+    return this.temperature;
+  }
+
+  get initialQ() {
+    return 0;
+  }
+
+  probabilities(qValues) {
+    const tau = this.temperature;
+    let maxQ = -Infinity;
+    for (let a = 0; a < NUM_ACTIONS; a++) maxQ = Math.max(maxQ, qValues[a]);
+    // Subtract the max before exp() so small τ can't overflow
+    const weights = Array.from(qValues, q => Math.exp((q - maxQ) / tau));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    return weights.map(w => w / total);
+  }
+
+  select(qValues, rng) {
+    const probs = this.probabilities(qValues);
+    let u = rng();
+    for (let a = 0; a < NUM_ACTIONS - 1; a++) {
+      u -= probs[a];
+      if (u < 0) return a;
+    }
+    return NUM_ACTIONS - 1;
+  }
+
+  endEpisode() {
+    this.episode++;
+  }
+
+  reset() {
+    this.episode = 0;
+  }
+
+  snapshot() {
+    return { episode: this.episode };
+  }
+
+  restore({ episode }) {
+    this.episode = episode;
+  }
+}
+
+/**
+ * UCB — upper confidence bound. Pick the action with the highest
+ *
+ *   Q(s, a) + c · √( ln N(s) / N(s, a) )
+ *
+ * where N counts visits. Rarely tried actions get a bonus that shrinks as
+ * they're tried, so the agent is "optimistic in the face of uncertainty".
+ * Untried actions in a state always go first.
+ */
+
+class UCB {
+  constructor({ c = 1 } = {}) {
+    this.c = c;
+    this.counts = new Map(); // state key → Uint32Array of per-action visits
+  }
+
+  get value() {
+    return null;
+  }
+
+  get initialQ() {
+    return 0;
+  }
+
+  _choose(qValues, key, rng) {
+    const n = this.counts.get(key);
+    if (!n) return argmaxRandomTie(qValues, rng);
+
+    const untried = [];
+    for (let a = 0; a < NUM_ACTIONS; a++) {
+      if (n[a] === 0) untried.push(a);
+    }
+    if (untried.length > 0) {
+      return untried[Math.floor(rng() * untried.length)];
+    }
+
+    const logTotal = Math.log(n[0] + n[1] + n[2] + n[3]);
+    const scores = Array.from(qValues, (q, a) => q + this.c * Math.sqrt(logTotal / n[a]));
+    return argmaxRandomTie(scores, rng);
+  }
+
+  select(qValues, rng, key) {
+    const action = this._choose(qValues, key, rng);
+    if (!this.counts.has(key)) this.counts.set(key, new Uint32Array(NUM_ACTIONS));
+    this.counts.get(key)[action]++;
+    return action;
+  }
+
+  /** UCB is deterministic: all probability on the action it would pick (ties shared). */
+  probabilities(qValues, key) {
+    const n = this.counts.get(key);
+    if (!n) return greedyProbabilities(qValues);
+    const total = n[0] + n[1] + n[2] + n[3];
+    const scores = Array.from(qValues, (q, a) =>
+      (n[a] === 0 ? Infinity : q + this.c * Math.sqrt(Math.log(total) / n[a])));
+    return greedyProbabilities(scores);
+  }
+
+  endEpisode() {}
+
+  reset() {
+    this.counts = new Map();
+  }
+
+  snapshot() {
+    return { counts: this.counts };
+  }
+
+  restore({ counts }) {
+    this.counts = counts;
+  }
+}
+
+const EXPLORATION_STRATEGIES = ['epsilon', 'boltzmann', 'ucb', 'optimistic'];
+
+/**
+ * Build a strategy from a plain spec:
+ *   { strategy: 'epsilon',    epsilon, schedule, end, decayEpisodes }
+ *   { strategy: 'boltzmann',  temperature, schedule, end, decayEpisodes }
+ *   { strategy: 'ucb',        c }
+ *   { strategy: 'optimistic', initialValue }
+ */
+function createExploration({ strategy = 'epsilon', ...options } = {}) {
+  switch (strategy) {
+    case 'epsilon':    return new EpsilonGreedy(options);
+    case 'boltzmann':  return new Boltzmann(options);
+    case 'ucb':        return new UCB(options);
+    case 'optimistic': return new Greedy(options);
+    default: throw new Error(`Unknown exploration strategy '${strategy}'.`);
+  }
+}
+
+// Node (train.js): export the public surface. In the browser these are
+// plain script globals and this block is skipped.
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SCHEDULE_KINDS, Schedule, Greedy, EpsilonGreedy, Boltzmann, UCB,
+    EXPLORATION_STRATEGIES, createExploration,
+  };
+}
@@ -0,0 +1,200 @@
+'use strict';
+
+// Node: there are no <script> tags sharing globals, so pull in what this
+// file uses from the files index.html loads before it.
+if (typeof module !== 'undefined' && module.exports) {
+  Object.assign(globalThis, require('./rng.js'), require('./env.js'));
+}
+
+/**
+ * LayoutGenerator — builds random layouts from a seed.
+ *
+ * Two kinds of map:
+ *   - maze:  a recursive-backtracker maze. Corridors are carved between
+ *            cells on even coordinates, so odd sizes (7x7, 9x9, ...) use the
+ *            whole grid; with even sizes the last row/column stays wall.
+ *   - rooms: open floor with walls scattered at random (wallDensity is the
+ *            chance that any cell becomes a wall).
+ *
+ * Start, goals and pits are then placed on open cells. Every generated
+ * layout is guaranteed to be solvable: each goal is reachable from the
+ * start using bfsDistances (the same BFS SignalField uses), and pits are
+ * only placed where they don't cut off a goal.
+ *
+ * The same seed and options always produce the same layout (the
+ * generator draws from its own mulberry32 stream, see rng.js).
+ */
+
+const MAX_GENERATE_ATTEMPTS = 100;
+
+class LayoutGenerator {
+  constructor(seed = 1) {
+    this.seed = seed;
+    this.random = mulberry32(seed);
+  }
+
+  /**
+   * Generate a layout. Returns { layout, start } like parseLayout.
+   * @param {object} [options]
+   * @param {'maze'|'rooms'} [options.type='maze']
+   * @param {number} [options.rows=9]
+   * @param {number} [options.cols=9]
+   * @param {number} [options.goals=1]
+   * @param {number} [options.pits=1]
+   * @param {number} [options.wallDensity=0.2] - rooms only
+   */
+  generate({ type = 'maze', rows = 9, cols = 9, goals = 1, pits = 1, wallDensity = 0.2 } = {}) {
+    if (type !== 'maze' && type !== 'rooms') throw new Error(`Unknown layout type '${type}' (use maze or rooms).`);
+    if (!Number.isInteger(rows) || !Number.isInteger(cols) || rows < 3 || cols < 3) {
+      throw new Error(`Generated layouts need whole rows and cols of at least 3, got ${rows}x${cols}.`);
+    }
+    if (!Number.isInteger(goals) || goals < 1) throw new Error(`Need a whole number of goals, at least 1, got ${goals}.`);
+    if (!Number.isInteger(pits) || pits < 0) throw new Error(`Need a whole number of pits, at least 0, got ${pits}.`);
+    // The start takes a cell too
+    if (1 + goals + pits > rows * cols) {
+      throw new Error(`${goals} goals and ${pits} pits don't fit in a ${rows}x${cols} grid.`);
+    }
+
+    for (let attempt = 0; attempt < MAX_GENERATE_ATTEMPTS; attempt++) {
+      const layout = type === 'rooms'
+        ? this._scatterWalls(rows, cols, wallDensity)
+        : this._carveMaze(rows, cols);
+      const placed = this._placeCells(layout, goals, pits);
+      if (placed) return placed;
+    }
+    throw new Error(
+      `Could not generate a solvable ${type} layout (${rows}x${cols}, ${goals} goals) ` +
+      `in ${MAX_GENERATE_ATTEMPTS} attempts. ` +
+      (type === 'rooms' ? 'Try a lower wall density or fewer goals and pits.' : 'Try fewer goals and pits, or a bigger maze.')
+    );
+  }
+
+  /** Uniform integer in [0, n). */
+  _int(n) {
+    return Math.floor(this.random() * n);
+  }
+
+  /** In-place Fisher–Yates shuffle. */
+  _shuffle(arr) {
+    for (let i = arr.length - 1; i > 0; i--) {
+      const j = this._int(i + 1);
+      [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+  }
+
+  _filledGrid(rows, cols, cell) {
+    const layout = [];
+    for (let r = 0; r < rows; r++) {
+      layout[r] = new Array(cols).fill(cell);
+    }
+    return layout;
+  }
+
+  /**
+   * Recursive backtracker (iterative, with an explicit stack). Starts from
+   * a random even-coordinate cell, walks to unvisited neighbours two steps
+   * away, knocking down the wall in between, and backtracks at dead ends.
+   */
+  _carveMaze(rows, cols) {
+    const layout = this._filledGrid(rows, cols, CELL_WALL);
+    const cellRows = Math.ceil(rows / 2);
+    const cellCols = Math.ceil(cols / 2);
+
+    const start = [this._int(cellRows) * 2, this._int(cellCols) * 2];
+    layout[start[0]][start[1]] = CELL_EMPTY;
+    const stack = [start];
+
+    while (stack.length > 0) {
+      const [r, c] = stack[stack.length - 1];
+      const options = [];
+      for (const [dr, dc] of DELTAS) {
+        const nr = r + dr * 2;
+        const nc = c + dc * 2;
+        if (nr < 0 || nr >= rows || nc < 0 || nc >= cols) continue;
+        if (layout[nr][nc] !== CELL_WALL) continue; // already carved
+        options.push([nr, nc, r + dr, c + dc]);
+      }
+
+      if (options.length === 0) {
+        stack.pop(); // dead end: backtrack
+        continue;
+      }
+
+      const [nr, nc, wr, wc] = options[this._int(options.length)];
+      layout[wr][wc] = CELL_EMPTY;
+      layout[nr][nc] = CELL_EMPTY;
+      stack.push([nr, nc]);
+    }
+
+    return layout;
+  }
+
+  /** Open floor with each cell independently becoming a wall. */
+  _scatterWalls(rows, cols, wallDensity) {
+    const layout = this._filledGrid(rows, cols, CELL_EMPTY);
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        if (this.random() < wallDensity) layout[r][c] = CELL_WALL;
+      }
+    }
+    return layout;
+  }
+
+  /**
+   * Place the start, then goals on cells reachable from it, then pits where
+   * they don't block any goal. Returns { layout, start }, or null if the
+   * layout doesn't have room for all the goals.
+   */
+  _placeCells(layout, numGoals, numPits) {
+    const open = [];
+    for (let r = 0; r < layout.length; r++) {
+      for (let c = 0; c < layout[0].length; c++) {
+        if (layout[r][c] === CELL_EMPTY) open.push([r, c]);
+      }
+    }
+    if (open.length < numGoals + 1) return null;
+
+    this._shuffle(open);
+    const start = open[0];
+    const fromStart = bfsDistances(layout, start[0], start[1]);
+    const candidates = open.slice(1).filter(([r, c]) => fromStart[r][c] > 0);
+    if (candidates.length < numGoals) return null;
+
+    const goals = candidates.slice(0, numGoals);
+    for (const [r, c] of goals) layout[r][c] = CELL_GOAL;
+
+    // Pits act like walls for the purpose of reaching a goal: walking into
+    // one ends the episode. Only keep a pit if every goal is still reachable.
+    let placedPits = 0;
+    for (const [r, c] of candidates.slice(numGoals)) {
+      if (placedPits >= numPits) break;
+      layout[r][c] = CELL_PIT;
+      if (this._goalsReachable(layout, start, goals)) {
+        placedPits++;
+      } else {
+        layout[r][c] = CELL_EMPTY;
+      }
+    }
+
+    return { layout, start };
+  }
+
+  /** True if every goal can be reached from start without entering a pit. */
+  _goalsReachable(layout, start, goals) {
+    const blocked = layout.map(row => row.map(cell => (cell === CELL_PIT ? CELL_WALL : cell)));
+    const dist = bfsDistances(blocked, start[0], start[1]);
+    return goals.every(([r, c]) => dist[r][c] > 0);
+  }
+}
+
+/** Convenience wrapper: generateLayout({ seed, type, rows, cols, ... }) → { layout, start }. */
+function generateLayout({ seed = 1, ...options } = {}) {
+  return new LayoutGenerator(seed).generate(options);
+}
+
+// Node (train.js): export the public surface. In the browser these are
+// plain script globals and this block is skipped.
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LayoutGenerator, generateLayout };
+}
@@ -4,67 +4,458 @@
  * Main — wires up manual control, agent selection, Q-learning, and stats.
  */
 
-// --- Layouts ---
+// --- Layouts (parsed from the text maps in env.js; "custom" is added at runtime) ---
 const LAYOUTS = {
-  default:  { layout: DEFAULT_LAYOUT,  start: DEFAULT_START },
-  transfer: { layout: TRANSFER_LAYOUT, start: TRANSFER_START },
+  default:  parseLayout(DEFAULT_MAP),
+  transfer: parseLayout(TRANSFER_MAP),
 };
 
+const MAX_GRID_SIZE = 30;
+
+let currentLayoutKey = 'default';
+
+/**
+ * Parse the custom cell rewards field: "row,col=value" entries separated by
+ * semicolons. Malformed entries are skipped.
+ */
+function parseRewardCells(text) {
+  const cells = {};
+  for (const entry of text.split(';')) {
+    const m = entry.trim().match(/^(\d+)\s*,\s*(\d+)\s*=\s*(-?[\d.]+)$/);
+    const value = m ? Number(m[3]) : NaN; // the pattern lets through e.g. "1.2.3"
+    if (Number.isFinite(value)) cells[`${m[1]},${m[2]}`] = value;
+  }
+  return cells;
+}
+
+/** Reward spec read from the Reward Function panel. */
+function getRewardSpec() {
+  const num = (id, fallback) => {
+    const v = Number(document.getElementById(id).value);
+    return Number.isFinite(v) ? v : fallback;
+  };
+  return {
+    step:     num('rewardStep',     DEFAULT_REWARDS.step),
+    wallBump: num('rewardWallBump', DEFAULT_REWARDS.wallBump),
+    goal:     num('rewardGoal',     DEFAULT_REWARDS.goal),
+    pit:      num('rewardPit',      DEFAULT_REWARDS.pit),
+    timeout:  num('rewardTimeout',  DEFAULT_REWARDS.timeout),
+    cells:    parseRewardCells(document.getElementById('rewardCells').value),
+  };
+}
+
+// Shared random source for env and agents. Math.random until a seed is set;
+// applySeed() swaps in a fresh seeded stream at the start of every run.
+let rng = Math.random;
+
+/** Environment options read from the UI (slip probability, reward spec). */
+function getEnvOptions() {
+  const slip = Number(document.getElementById('slip').value) || 0;
+  return { slip: Math.max(0, Math.min(1, slip)), rewards: getRewardSpec(), rng };
+}
+
+/**
+ * Signal shape from the UI: a decay kind and distance metric per channel,
+ * plus what the agent itself leaves behind (its own emitter and a trail).
+ */
+function getSignalOptions() {
+  const value = id => document.getElementById(id).value;
+  return {
+    agentStrength: Number(value('agentSignal')) || 0,
+    trail: {
+      strength: Number(value('trailStrength')) || 0,
+      evaporation: Math.max(0, Math.min(1, Number(value('trailEvaporation')) || 0)),
+      persist: document.getElementById('trailPersist').checked,
+    },
+    decay: {
+      range: Math.max(1, Number(value('signalRange')) || 8),
+      rate: Math.max(0, Number(value('signalRate')) || 0),
+      sigma: Math.max(0.1, Number(value('signalSigma')) || 3),
+    },
+    perChannel: {
+      goal: { kind: value('goalDecay'), metric: value('goalMetric') },
+      pit: { kind: value('pitDecay'), metric: value('pitMetric') },
+    },
+  };
+}
+
 // --- Setup ---
-let env = new GridWorld(DEFAULT_LAYOUT, DEFAULT_START);
-let signalField = new SignalField(env);
+let env = new GridWorld(DEFAULT_LAYOUT, DEFAULT_START, getEnvOptions());
+let signalField = new SignalField(env, getSignalOptions());
 
 const canvas = document.getElementById('grid');
 let renderer = new Renderer(canvas, env);
 const statusEl = document.getElementById('status');
 
 // --- Agents ---
-const randomAgent = new RandomAgent();
-let qAgent = new QLearningAgent(env.rows, env.cols, {
-  alpha: 0.1, gamma: 0.95, epsilon: 0.1
-});
+// Exploration spec the agents were last built or updated with (see applyExploration)
+let explorationSpec = getExplorationSpec();
+// State encoding the Signal Q agent was last built with (see rebuildSignalQ)
+let signalQConfig = getSignalQConfig();
+
+const randomAgent = new RandomAgent({ rng });
 let signalQAgent = new SignalQAgent(signalField, {
-  alpha: 0.1, gamma: 0.95, epsilon: 0.1
+  alpha: 0.1, gamma: 0.95, exploration: explorationSpec, ...signalQConfig, rng
+});
+// Like Signal Q, these sense the signal field and keep what they learned across layouts
+let linearQAgent = new LinearQAgent(signalField, {
+  alpha: 0.1, gamma: 0.95, exploration: explorationSpec, rng
 });
+let dqnAgent = new DQNAgent(signalField, {
+  learningRate: 0.001, gamma: 0.95, exploration: explorationSpec, rng
+});
+
+// Position-based agents learn (or, for the planners, solve for) a
+// q[row][col] table, so they are rebuilt whenever the grid changes.
+// Keys match the agentSelect values.
+const POSITION_AGENT_KINDS = [
+  'qlearn', 'sarsa', 'expsarsa', 'doubleq', 'qlambda', 'sarsalambda', 'dyna', 'montecarlo',
+  'reinforce', 'actorcritic', 'valueiter', 'policyiter',
+];
+let positionAgents = buildPositionAgents();
+
+/**
+ * Build the position-based agents for the current env. Kinds listed in
+ * `keep` carry over from the previous set if the grid shape is unchanged.
+ */
+function buildPositionAgents(keep = []) {
+  const agents = {};
+  for (const kind of POSITION_AGENT_KINDS) {
+    const old = keep.includes(kind) && positionAgents[kind];
+    agents[kind] = (old && old.rows === env.rows && old.cols === env.cols)
+      ? old
+      : createAgent(kind, { env, signalField, params: getQParams(), rng });
+  }
+  return agents;
+}
 
-renderer.qAgent = qAgent;
+/** Every agent whose hyperparameters, seed and table the UI manages. */
+function learningAgents() {
+  return [...Object.values(positionAgents), signalQAgent, linearQAgent, dqnAgent];
+}
+
+renderer.qAgent = overlayAgent();
+renderer.policyAgent = policyAgent();
 renderer.signalField = signalField;
+renderer.baseline = positionAgents.valueiter;
 
 function getActiveAgent() {
   const sel = document.getElementById('agentSelect').value;
-  if (sel === 'qlearn') return qAgent;
+  if (sel in positionAgents) return positionAgents[sel];
   if (sel === 'signalq') return signalQAgent;
+  if (sel === 'linearq') return linearQAgent;
+  if (sel === 'dqn') return dqnAgent;
   return randomAgent;
 }
 
-/** Switch to a different grid layout. Rebuilds env, signal field, and position-based Q agent. */
+/**
+ * The table shown by the Q overlay: the selected position agent (or the
+ * linear / DQN agent's estimates, read cell by cell), else Q-learning's.
+ * Policy-gradient agents have no Q-values, so they fall back too.
+ */
+function overlayAgent() {
+  const sel = document.getElementById('agentSelect').value;
+  const agent = { linearq: linearQAgent, dqn: dqnAgent }[sel] || positionAgents[sel];
+  return agent && agent.getQ ? agent : positionAgents.qlearn;
+}
+
+/** The agent whose action probabilities the policy overlay shows. */
+function policyAgent() {
+  const sel = document.getElementById('agentSelect').value;
+  const agent = positionAgents[sel];
+  return agent && agent.getPolicy ? agent : positionAgents.qlearn;
+}
+
+/**
+ * Re-solve the planners against the current env. Needed whenever the rules
+ * they planned with change: slip, rewards, or the env itself.
+ */
+function solvePlanners() {
+  for (const agent of Object.values(positionAgents)) {
+    if (agent instanceof TabularPlanner) {
+      agent.env = env;
+      agent.solve();
+    }
+  }
+}
+
+/** Generator options read from the Random panel. `seedOffset` is added to the seed. */
+function getGeneratorOptions(seedOffset = 0) {
+  const int = (id, fallback) => Math.max(0, Math.round(Number(document.getElementById(id).value)) || fallback);
+  return {
+    type: document.getElementById('genType').value,
+    seed: int('genSeed', 1) + seedOffset,
+    rows: Math.min(MAX_GRID_SIZE, Math.max(3, int('genRows', 9))),
+    cols: Math.min(MAX_GRID_SIZE, Math.max(3, int('genCols', 9))),
+    goals: Math.max(1, int('genGoals', 1)),
+    pits: int('genPits', 0),
+  };
+}
+
+/** Keep the "Random (seed N)" dropdown label in step with the seed field. */
+function updateRandomOptionLabel() {
+  const opt = document.querySelector('#layoutSelect option[value="random"]');
+  opt.textContent = `Random (seed ${getGeneratorOptions().seed})`;
+}
+
+/**
+ * Show validateLayout results (or a parse/generator error) under the Grid
+ * controls. An empty result clears the list.
+ */
+function showDiagnostics({ errors = [], warnings = [] }) {
+  const list = document.getElementById('layoutDiagnostics');
+  list.innerHTML = '';
+  for (const [items, cls] of [[errors, 'diag-error'], [warnings, 'diag-warning']]) {
+    for (const item of items) {
+      const li = document.createElement('li');
+      li.className = cls;
+      li.textContent = item.message;
+      list.appendChild(li);
+    }
+  }
+  list.hidden = list.children.length === 0;
+}
+
+/**
+ * Switch to a different grid layout. Rebuilds env, signal field, and position-based Q agent.
+ * The layout is validated first; if it has errors the switch is refused and
+ * the dropdown goes back to the current layout. Returns true if it switched.
+ */
 function switchLayout(key) {
-  const { layout, start } = LAYOUTS[key];
-  env = new GridWorld(layout, start);
-  signalField = new SignalField(env);
-
-  // Position-based Q-agent must be rebuilt (grid shape changed)
-  qAgent = new QLearningAgent(env.rows, env.cols, {
-    alpha: Number(document.getElementById('alpha').value) || 0.1,
-    gamma: Number(document.getElementById('gamma').value) || 0.95,
-    epsilon: Number(document.getElementById('epsilon').value) || 0.1,
-  });
+  const select = document.getElementById('layoutSelect');
+  let candidate = LAYOUTS[key];
+  if (key === 'random') {
+    try {
+      candidate = generateLayout(getGeneratorOptions());
+    } catch (err) {
+      showDiagnostics({ errors: [{ code: 'generator', message: err.message }] });
+      select.value = currentLayoutKey;
+      return false;
+    }
+  }
+
+  const check = validateLayout(candidate.layout, candidate.start);
+  showDiagnostics(check);
+  if (!check.valid) {
+    select.value = currentLayoutKey;
+    statusEl.textContent = `The ${key} layout has errors; staying on ${currentLayoutKey}.`;
+    return false;
+  }
+
+  if (key === 'random') LAYOUTS.random = candidate;
+  currentLayoutKey = key;
+  loadWorld(candidate.layout, candidate.start);
+  statusEl.textContent = `Switched to ${key} layout. Position Q-table reset; Signal Q preserved.`;
+  return true;
+}
+
+/**
+ * Build a fresh env, signal field, position Q-agents and renderer around a
+ * layout. `keepAgents` lists position agent kinds to keep if the shape allows.
+ */
+function loadWorld(layout, start, keepAgents = []) {
+  env = new GridWorld(layout, start, getEnvOptions());
+  signalField = new SignalField(env, getSignalOptions());
+
+  // Position-based agents must be rebuilt (grid shape changed)
+  positionAgents = buildPositionAgents(keepAgents);
 
   // Signal Q-agent keeps its Q-table! That's the whole point —
-  // it learned about signal patterns, not positions.
+  // it learned about signal patterns, not positions. Same for the
+  // linear and DQN agents.
   signalQAgent.signalField = signalField;
+  linearQAgent.signalField = signalField;
+  dqnAgent.signalField = signalField;
 
   // Reconnect renderer
   renderer = new Renderer(canvas, env);
-  renderer.qAgent = qAgent;
+  renderer.qAgent = overlayAgent();
+  renderer.policyAgent = policyAgent();
   renderer.signalField = signalField;
+  renderer.baseline = positionAgents.valueiter;
   renderer.showQ = document.getElementById('showQ').checked;
+  renderer.qTable = document.getElementById('qTable').value;
   renderer.showSignals = document.getElementById('showSignals').checked;
+  updateChannelPicker();
+  renderer.showTraces = document.getElementById('showTraces').checked;
+  renderer.showError = document.getElementById('showError').checked;
+  renderer.showPolicy = document.getElementById('showPolicy').checked;
 
   env.reset();
   renderer.draw();
   resetStats();
-  statusEl.textContent = `Switched to ${key} layout. Position Q-table reset; Signal Q preserved.`;
+  document.getElementById('mapText').value = serializeLayout(env);
+}
+
+/**
+ * Swap in a new env and signal field without touching agents or stats.
+ * Used when training across many generated maps of the same size.
+ */
+function swapWorld(layout, start) {
+  env = new GridWorld(layout, start, getEnvOptions());
+  signalField = new SignalField(env, getSignalOptions());
+  signalQAgent.signalField = signalField;
+  linearQAgent.signalField = signalField;
+  dqnAgent.signalField = signalField;
+  renderer.env = env;
+  renderer.signalField = signalField;
+  updateChannelPicker();
+  solvePlanners();
+}
+
+/**
+ * List the signal field's channels in the overlay's channel picker. Keeps
+ * the current choice if the new field still has it, else shows combined.
+ */
+function updateChannelPicker() {
+  const select = document.getElementById('signalChannel');
+  const names = ['', ...signalField.channels];
+  const current = names.includes(select.value) ? select.value : '';
+  const existing = Array.from(select.options, o => o.value);
+  if (existing.join() !== names.join()) {
+    select.innerHTML = '';
+    for (const name of names) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name === '' ? 'Combined' : name[0].toUpperCase() + name.slice(1);
+      select.appendChild(option);
+    }
+  }
+  select.value = current;
+  renderer.signalChannel = current === '' ? null : current;
+}
+
+/** Store a layout as "custom" and make sure the dropdown has it selected. */
+function setCustomLayout(layout, start) {
+  LAYOUTS.custom = { layout, start };
+  currentLayoutKey = 'custom';
+  const select = document.getElementById('layoutSelect');
+  if (!select.querySelector('option[value="custom"]')) {
+    const opt = document.createElement('option');
+    opt.value = 'custom';
+    opt.textContent = 'Custom';
+    select.appendChild(opt);
+  }
+  select.value = 'custom';
+}
+
+/**
+ * Parse the map textarea and switch to it as the "custom" layout.
+ * Parse and validation errors are listed under the Grid controls and leave
+ * the current layout alone.
+ */
+function loadCustomMap() {
+  let parsed;
+  try {
+    parsed = parseLayout(document.getElementById('mapText').value);
+  } catch (err) {
+    showDiagnostics({ errors: [{ code: 'parse', message: err.message }] });
+    statusEl.textContent = 'Map not loaded: see the problems listed under Grid.';
+    return;
+  }
+
+  const check = validateLayout(parsed.layout, parsed.start);
+  if (!check.valid) {
+    showDiagnostics(check);
+    statusEl.textContent = 'Map not loaded: see the problems listed under Grid.';
+    return;
+  }
+
+  setCustomLayout(parsed.layout, parsed.start);
+  switchLayout('custom');
+}
+
+// --- Layout editor ---
+//
+// In edit mode, clicking or dragging on the canvas paints the selected tool
+// into a draft copy of the layout. The draft is shown live; when the mouse is
+// released it becomes the "custom" layout and the world is rebuilt exactly
+// like a layout switch (Signal Q keeps its table).
+
+const EDIT_TOOLS = {
+  empty: CELL_EMPTY,
+  wall:  CELL_WALL,
+  goal:  CELL_GOAL,
+  pit:   CELL_PIT,
+};
+
+let editDraft = null; // { layout, start, changed } while a drag is in progress
+
+function isEditing() {
+  return document.getElementById('editMode').checked;
+}
+
+/** Paint the current tool at a canvas mouse event. Returns true if anything changed. */
+function paintAt(e) {
+  const rect = canvas.getBoundingClientRect();
+  const x = (e.clientX - rect.left) * (canvas.width / rect.width);
+  const y = (e.clientY - rect.top) * (canvas.height / rect.height);
+  const hit = renderer.cellAt(x, y);
+  if (!hit) return false;
+
+  const [r, c] = hit;
+  const tool = document.getElementById('editTool').value;
+  const { layout, start } = editDraft;
+
+  if (tool === 'start') {
+    if (start[0] === r && start[1] === c) return false;
+    layout[r][c] = CELL_EMPTY; // the start cell is always walkable
+    start[0] = r;
+    start[1] = c;
+    env.agentRow = r;
+    env.agentCol = c;
+    return true;
+  }
+
+  // Leave the start cell alone so the layout stays playable
+  if (start[0] === r && start[1] === c) return false;
+  if (layout[r][c] === EDIT_TOOLS[tool]) return false;
+  layout[r][c] = EDIT_TOOLS[tool];
+  return true;
+}
+
+/** Turn the finished draft into the custom layout and rebuild the world. */
+function commitEdit() {
+  const { layout, start, changed } = editDraft;
+  editDraft = null;
+  if (!changed) return; // a click that painted nothing shouldn't reset anything
+
+  // Edits are work in progress (walling in a goal on the way to moving it
+  // is fine), so problems are reported but never block the edit.
+  // Dyna-Q survives edits (same grid shape) so you can watch its stale
+  // model get corrected — the classic "blocking maze" demo.
+  const check = validateLayout(layout, start);
+  showDiagnostics(check);
+  setCustomLayout(layout, start);
+  loadWorld(layout, start, ['dyna']);
+  statusEl.textContent = check.valid
+    ? 'Layout edited. Position Q-tables reset (Dyna-Q kept); Signal Q preserved.'
+    : 'Layout edited, but it has errors (listed under Grid).';
+}
+
+/**
+ * Resize the current layout to the rows/cols fields. Existing cells are kept
+ * where they fit, new cells are empty, and the start is pulled inside the grid.
+ */
+function resizeLayout() {
+  const clamp = (v) => Math.max(2, Math.min(MAX_GRID_SIZE, Math.round(v) || 2));
+  const rows = clamp(Number(document.getElementById('editRows').value));
+  const cols = clamp(Number(document.getElementById('editCols').value));
+
+  const layout = [];
+  for (let r = 0; r < rows; r++) {
+    layout[r] = [];
+    for (let c = 0; c < cols; c++) {
+      layout[r][c] = (r < env.rows && c < env.cols) ? env.layout[r][c] : CELL_EMPTY;
+    }
+  }
+  const start = [Math.min(env.startPos[0], rows - 1), Math.min(env.startPos[1], cols - 1)];
+  layout[start[0]][start[1]] = CELL_EMPTY;
+
+  showDiagnostics(validateLayout(layout, start));
+  setCustomLayout(layout, start);
+  loadWorld(layout, start);
+  statusEl.textContent = `Resized to ${rows}x${cols}. Position Q-table reset; Signal Q preserved.`;
 }
 
 // --- Statistics tracking ---
@@ -87,19 +478,30 @@ function resetStats() {
   updateStatsDisplay();
 }
 
-function recordEpisode(env) {
+/** Record a finished episode. `info` is the info object from the final step. */
+function recordEpisode(env, info) {
   stats.episodes++;
   stats.totalSteps += env.steps;
   stats.totalReward += env.totalReward;
 
-  const cell = env.layout[env.agentRow][env.agentCol];
-  if (cell === CELL_GOAL) stats.goals++;
-  else if (cell === CELL_PIT) stats.pits++;
+  if (info.outcome === 'goal') stats.goals++;
+  else if (info.outcome === 'pit') stats.pits++;
   else stats.timeouts++;
 
   updateStatsDisplay();
 }
 
+/** Add a block of episode totals (as streamed by the training worker). */
+function addEpisodeCounts(counts) {
+  stats.episodes += counts.episodes;
+  stats.totalSteps += counts.steps;
+  stats.totalReward += counts.reward;
+  stats.goals += counts.goals;
+  stats.pits += counts.pits;
+  stats.timeouts += counts.timeouts;
+  updateStatsDisplay();
+}
+
 function updateStatsDisplay() {
   const el = (id) => document.getElementById(id);
   el('statEpisodes').textContent = stats.episodes;
@@ -118,13 +520,356 @@ function updateStatsDisplay() {
   }
 }
 
+// --- Compare with the optimal Q* ---
+
+/**
+ * Fill the "Compare with Optimal" panel: how far the selected position
+ * agent's Q-table is from value iteration's Q*, cell by cell.
+ */
+function compareWithOptimal() {
+  const planner = positionAgents.valueiter;
+  const selected = overlayAgent();
+  const learner = selected instanceof TabularPlanner ? positionAgents.qlearn : selected;
+  const result = compareQ(learner, planner);
+
+  const el = (id) => document.getElementById(id);
+  const [sr, sc] = env.startPos;
+  el('optMeanError').textContent = result.mean.toFixed(3);
+  el('optMaxError').textContent = result.maxAt
+    ? `${result.max.toFixed(3)} at (${result.maxAt[0]}, ${result.maxAt[1]})`
+    : '—';
+  el('optPolicyMatch').textContent = `${result.policyMatches} / ${result.cells}`;
+  el('optStartValue').textContent = planner.getMaxQ(sr, sc).toFixed(3);
+  statusEl.textContent = `Compared ${learner.constructor.name} with Q* ` +
+    `(value iteration, ${planner.iterations} sweeps).`;
+}
+
+// --- Linear Q weight inspector ---
+
+/** Show the linear agent's weights: one row per feature, one column per action. */
+function updateWeightInspector() {
+  const table = document.getElementById('weightsTable');
+  table.innerHTML = '';
+
+  const header = document.createElement('tr');
+  for (const label of ['Feature', ...ACTION_NAMES]) {
+    const th = document.createElement('th');
+    th.textContent = label;
+    header.appendChild(th);
+  }
+  table.appendChild(header);
+
+  const names = linearQAgent.featureNames();
+  for (let i = 0; i < names.length; i++) {
+    const tr = document.createElement('tr');
+    const name = document.createElement('td');
+    name.textContent = names[i];
+    tr.appendChild(name);
+    for (let a = 0; a < NUM_ACTIONS; a++) {
+      const w = linearQAgent.w[a][i];
+      const td = document.createElement('td');
+      td.textContent = w.toFixed(3);
+      if (w > 0) td.className = 'weight-pos';
+      else if (w < 0) td.className = 'weight-neg';
+      tr.appendChild(td);
+    }
+    table.appendChild(tr);
+  }
+  document.getElementById('weightsUpdates').textContent =
+    `${linearQAgent.totalUpdates} updates, ${names.length} features per action.`;
+}
+
+// --- Settings that can't change while training runs ---
+
+// The value each such control had when it was last applied, so an edit made
+// mid-run can be put back (the running agents aren't using it)
+const appliedControls = {};
+
+function rememberControls(ids) {
+  for (const id of ids) {
+    const el = document.getElementById(id);
+    appliedControls[id] = el.type === 'checkbox' ? el.checked : el.value;
+  }
+}
+
+/**
+ * If training is running, put the controls back to their applied values
+ * and say why. Returns true if the change was refused.
+ */
+function refuseWhileRunning(ids, what) {
+  if (!running) return false;
+  for (const id of ids) {
+    const el = document.getElementById(id);
+    if (el.type === 'checkbox') el.checked = appliedControls[id];
+    else el.value = appliedControls[id];
+  }
+  statusEl.textContent = `Stop training before changing ${what}.`;
+  return true;
+}
+
+// --- Exploration strategy and schedule plot ---
+
+const EXPLORATION_IDS = [
+  'exploreStrategy', 'epsilon', 'temperature', 'exploreSchedule', 'exploreEnd', 'exploreDecay', 'ucbC', 'optimisticQ',
+];
+
+/** The exploration strategy settings, as a createExploration() spec. */
+function getExplorationSpec() {
+  const value = id => document.getElementById(id).value;
+  const strategy = value('exploreStrategy');
+  const schedule = {
+    schedule: value('exploreSchedule'),
+    end: Math.max(0, Number(value('exploreEnd')) || 0),
+    decayEpisodes: Math.max(1, Math.round(Number(value('exploreDecay'))) || 500),
+  };
+  switch (strategy) {
+    case 'boltzmann':
+      return { strategy, temperature: Number(value('temperature')) || 1, ...schedule };
+    case 'ucb':
+      return { strategy, c: Math.max(0, Number(value('ucbC')) || 0) };
+    case 'optimistic':
+      return { strategy, initialValue: Number(value('optimisticQ')) || 0 };
+    default:
+      return { strategy: 'epsilon', epsilon: Number(value('epsilon')) || 0, ...schedule };
+  }
+}
+
+/**
+ * Give every value-based agent a fresh strategy from the UI. Progress along
+ * a decay schedule is kept; an agent whose initial Q changes (switching to
+ * or from optimistic values) has its table reset, since it only matters
+ * at the start.
+ */
+function applyExploration() {
+  if (refuseWhileRunning(EXPLORATION_IDS, 'the exploration settings')) return;
+  explorationSpec = getExplorationSpec();
+  rememberControls(EXPLORATION_IDS);
+  let reset = 0;
+  for (const agent of learningAgents()) {
+    if (!agent.exploration) continue;
+    const old = agent.exploration;
+    const next = createExploration(explorationSpec);
+    if ('episode' in old && 'episode' in next) next.episode = old.episode;
+    agent.exploration = next;
+    if (next.initialQ !== old.initialQ) {
+      agent.resetQ();
+      reset++;
+    }
+  }
+  renderer.draw();
+  updateAgentPanels();
+  statusEl.textContent = reset > 0
+    ? `Exploration set to ${explorationSpec.strategy}. Initial Q changed, so ${reset} agents were reset.`
+    : `Exploration set to ${explorationSpec.strategy}.`;
+}
+
+/**
+ * Plot the selected agent's ε or τ schedule over episodes, with a marker
+ * at the episode it has reached.
+ */
+function drawExplorationPlot() {
+  const plot = document.getElementById('explorePlot');
+  const info = document.getElementById('exploreInfo');
+  const ctx = plot.getContext('2d');
+  ctx.clearRect(0, 0, plot.width, plot.height);
+
+  const agent = getActiveAgent();
+  const exploration = agent.exploration;
+  if (!exploration || !exploration.schedule) {
+    info.textContent = !exploration
+      ? `${agent.name} doesn't use an exploration strategy.`
+      : `${agent.name} explores with ${exploration instanceof UCB ? 'UCB' : 'optimistic initial values'}, ` +
+        'which has no schedule to plot.';
+    return;
+  }
+
+  const { schedule, episode } = exploration;
+  const symbol = exploration instanceof Boltzmann ? 'τ' : 'ε';
+  const pad = 6;
+  const w = plot.width - 2 * pad;
+  const h = plot.height - 2 * pad;
+  const lastEpisode = Math.max(Math.ceil(schedule.decayEpisodes * 1.25), episode);
+  const top = Math.max(schedule.start, schedule.end) || 1;
+  const x = ep => pad + (ep / lastEpisode) * w;
+  const y = v => pad + h - (v / top) * h;
+
+  ctx.strokeStyle = '#3498db';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  for (let i = 0; i <= w; i++) {
+    const ep = (i / w) * lastEpisode;
+    if (i === 0) ctx.moveTo(x(ep), y(schedule.valueAt(ep)));
+    else ctx.lineTo(x(ep), y(schedule.valueAt(ep)));
+  }
+  ctx.stroke();
+
+  ctx.fillStyle = '#f1c40f';
+  ctx.beginPath();
+  ctx.arc(x(episode), y(exploration.value), 4, 0, Math.PI * 2);
+  ctx.fill();
+
+  info.textContent = `${agent.name}: ${symbol} = ${exploration.value.toFixed(3)} ` +
+    `after ${episode} episodes.`;
+}
+
+// --- Signal Q state encoding ---
+
+const SIGNAL_Q_IDS = ['sqBins', 'sqEdges', 'sqQuantiles', 'sqSignalBins', 'sqWallBits', 'sqChannels'];
+
+/**
+ * The Signal Q discretization settings. Throws if the edge list isn't a
+ * comma-separated list of numbers.
+ */
+function getSignalQConfig() {
+  const text = document.getElementById('sqEdges').value.trim();
+  const edges = text === '' ? null : text.split(',').map(Number);
+  if (edges && edges.some(e => !Number.isFinite(e))) {
+    throw new Error(`Bin edges must be numbers separated by commas, got '${text}'.`);
+  }
+  return {
+    bins: Math.max(1, Math.round(Number(document.getElementById('sqBins').value)) || 3),
+    edges,
+    quantileEdges: document.getElementById('sqQuantiles').checked,
+    signalBins: Math.max(0, Math.round(Number(document.getElementById('sqSignalBins').value)) || 0),
+    wallBits: document.getElementById('sqWallBits').checked,
+    channels: document.getElementById('sqChannels').checked ? [...SIGNAL_CHANNELS] : null,
+  };
+}
+
+/** Rebuild the Signal Q agent with the encoding from the UI (its table starts over). */
+function rebuildSignalQ() {
+  if (refuseWhileRunning(SIGNAL_Q_IDS, 'the Signal Q encoding')) return;
+  let agent;
+  try {
+    const config = getSignalQConfig();
+    agent = new SignalQAgent(signalField, { ...getQParams(), ...config, rng });
+    signalQConfig = config;
+    rememberControls(SIGNAL_Q_IDS);
+  } catch (err) {
+    statusEl.textContent = `Signal Q not changed: ${err.message}`;
+    return;
+  }
+  signalQAgent = agent;
+  updateAgentPanels();
+  statusEl.textContent = `Signal Q encoding changed (${agent.numStates} states). Table reset.`;
+}
+
+/** Show how much of the Signal Q state space has actually been visited. */
+function updateStatesPanel() {
+  const el = id => document.getElementById(id);
+  const agent = signalQAgent;
+  const visited = agent.visitedStates();
+  el('sqNumStates').textContent = String(agent.numStates);
+  el('sqVisited').textContent = `${visited} (${((visited / agent.numStates) * 100).toFixed(1)}%)`;
+  el('sqVisited10').textContent = String(agent.visitedStates(10));
+  const edges = agent.edges.map(e => Number(e.toFixed(3))).join(', ') || 'none';
+  el('sqEdgeList').textContent = agent.quantileEdges && !agent.edgesFitted
+    ? `${edges} (fitting quantiles)`
+    : edges;
+}
+
+/** Refresh the panels that show the agents' internals after they change. */
+function updateAgentPanels() {
+  updateWeightInspector();
+  updateStatesPanel();
+  drawExplorationPlot();
+}
+
+// --- Evaluate on the transfer layout ---
+const TRANSFER_EVAL_EPISODES = 100;
+
+/**
+ * Run the selected agent greedily on the transfer layout without learning,
+ * to see whether what it learned here carries over. Only agents that sense
+ * the signal field can do this; position agents' tables mean nothing there.
+ */
+function evaluateOnTransfer() {
+  const agent = getActiveAgent();
+  if (Object.values(positionAgents).includes(agent)) {
+    statusEl.textContent = `${agent.name} learns positions, so it can't transfer. ` +
+      'Pick Signal Q, Linear Q, DQN or Random.';
+    return;
+  }
+
+  const evalEnv = new GridWorld(TRANSFER_LAYOUT, TRANSFER_START, getEnvOptions());
+  const result = evaluateAgent(evalEnv, agent, TRANSFER_EVAL_EPISODES);
+  statusEl.textContent = `${agent.name} on the transfer layout (greedy, no learning): ` +
+    `${(result.successRate * 100).toFixed(0)}% success over ${result.episodes} episodes, ` +
+    `avg ${result.avgSteps.toFixed(1)} steps ` +
+    `(${result.pits} pits, ${result.timeouts} timeouts).`;
+}
+
 // --- Sync Q-learning hyperparameters from UI ---
+function getQParams() {
+  return {
+    alpha:   Number(document.getElementById('alpha').value)   || 0.1,
+    gamma:   Number(document.getElementById('gamma').value)   || 0.95,
+    exploration: explorationSpec,
+    lambda: Number(document.getElementById('lambda').value) || 0,
+    traceType: document.getElementById('traceType').value,
+    planningSteps: Math.max(0, Math.round(Number(document.getElementById('planningSteps').value)) || 0),
+    kappa: Number(document.getElementById('kappa').value) || 0,
+    visits: document.getElementById('mcVisits').value,
+    stepSize: document.getElementById('mcStepSize').value,
+    beta: Number(document.getElementById('beta').value) || 0.1,
+    baseline: document.getElementById('pgBaseline').checked,
+    learningRate: Number(document.getElementById('dqnLearningRate').value) || 0.001,
+    targetUpdate: Math.max(1, Math.round(Number(document.getElementById('dqnTargetUpdate').value)) || 250),
+    tileCoding: document.getElementById('linTileCoding').checked,
+    tilings: Math.max(1, Math.round(Number(document.getElementById('linTilings').value)) || 4),
+    tiles: Math.max(1, Math.round(Number(document.getElementById('linTiles').value)) || 8),
+    ...signalQConfig,
+  };
+}
+
 function syncQParams() {
-  const alpha   = Number(document.getElementById('alpha').value)   || 0.1;
-  const gamma   = Number(document.getElementById('gamma').value)   || 0.95;
-  const epsilon = Number(document.getElementById('epsilon').value) || 0.1;
-  qAgent.alpha = alpha;       qAgent.gamma = gamma;       qAgent.epsilon = epsilon;
-  signalQAgent.alpha = alpha; signalQAgent.gamma = gamma;  signalQAgent.epsilon = epsilon;
+  const {
+    alpha, gamma, lambda, traceType, planningSteps, kappa, visits, stepSize, beta, baseline,
+    learningRate, targetUpdate,
+  } = getQParams();
+  for (const agent of learningAgents()) {
+    if (agent instanceof TabularPlanner) {
+      // Planners only depend on γ; re-solve only when it actually changed
+      if (agent.gamma !== gamma) {
+        agent.gamma = gamma;
+        agent.solve();
+      }
+      continue;
+    }
+    agent.alpha = alpha;
+    agent.gamma = gamma;
+    if (agent instanceof TraceAgent) {
+      agent.lambda = lambda;
+      agent.traceType = traceType;
+    }
+    if (agent instanceof DynaQAgent) {
+      agent.planningSteps = planningSteps;
+      agent.kappa = kappa;
+    }
+    if (agent instanceof MonteCarloAgent) {
+      agent.visits = visits;
+      agent.stepSize = stepSize;
+    }
+    if (agent instanceof SoftmaxPolicyAgent) agent.beta = beta;
+    if (agent instanceof ReinforceAgent) agent.baseline = baseline;
+    if (agent instanceof DQNAgent) {
+      agent.learningRate = learningRate;
+      agent.targetUpdate = targetUpdate;
+    }
+  }
+}
+
+/**
+ * Re-seed env and agents from the seed field. With a seed, every run starts
+ * from the same random stream, so resetting the Q-table and running the
+ * same batch twice gives identical results. An empty field means Math.random.
+ */
+function applySeed() {
+  const text = document.getElementById('seed').value.trim();
+  rng = text === '' ? Math.random : mulberry32(Number(text) || 0);
+  env.rng = rng;
+  randomAgent.rng = rng;
+  for (const agent of learningAgents()) agent.rng = rng;
 }
 
 // --- Animation state ---
@@ -135,6 +880,7 @@ function setButtonsEnabled(enabled) {
   document.getElementById('runBatch').disabled = !enabled;
   document.getElementById('resetStats').disabled = !enabled;
   document.getElementById('resetQ').disabled = !enabled;
+  document.getElementById('evalTransfer').disabled = !enabled;
 }
 
 function getStepDelay() {
@@ -148,18 +894,26 @@ async function runOneEpisode() {
   running = true;
   setButtonsEnabled(false);
   syncQParams();
+  applySeed();
 
   const agent = getActiveAgent();
-  env.reset();
+  let state = env.reset();
+  // The page's field is the one the signal agents sense; it also drives the overlay
+  signalField.beginEpisode(state[0], state[1]);
   renderer.draw();
 
+  let action = agent.act(state);
+  let result;
   while (!env.done) {
-    const state = env.getState();
-    const action = agent.act(state);
-    const result = env.step(action);
+    result = env.step(action);
+    signalField.visit(result.state[0], result.state[1]);
 
-    // Learn from this transition (no-op for RandomAgent)
-    agent.learn(state, action, result.reward, result.state, result.done);
+    // Choose a' before learning so on-policy agents (SARSA) can use it,
+    // then learn from this transition (no-op for RandomAgent)
+    const nextAction = result.terminated ? null : agent.act(result.state);
+    agent.learn(state, action, result.reward, result.state, result.terminated, nextAction);
+    state = result.state;
+    action = nextAction;
 
     renderer.draw();
     statusEl.textContent = `${agent.name} | Step ${env.steps} | Reward: ${env.totalReward.toFixed(2)}`;
@@ -167,39 +921,185 @@ async function runOneEpisode() {
     await sleep(getStepDelay());
   }
 
-  recordEpisode(env);
-  showEndStatus(agent.name);
+  agent.endEpisode();
+  recordEpisode(env, result.info);
+  showEndStatus(agent.name, result.info);
+  updateAgentPanels();
 
   running = false;
   setButtonsEnabled(true);
 }
 
 // --- Run a batch of episodes silently ---
+//
+// Batches run in a Web Worker (worker.js) so the page stays responsive and
+// can cancel. The worker gets a copy of the active agent's table, trains its
+// own copy, streams stats back, and returns the final table. If workers are
+// unavailable (e.g. the page was opened from file://), the batch runs here
+// on the main thread instead.
+
+let trainWorker;          // undefined = not tried yet, null = unavailable
+let workerBatch = null;   // { agent, varyMaps, total } while a worker batch runs
+
+function getBatchSize() {
+  return Math.max(1, Math.round(Number(document.getElementById('batchEpisodes').value)) || 100);
+}
+
+function getTrainWorker() {
+  if (trainWorker !== undefined) return trainWorker;
+  try {
+    trainWorker = new Worker('worker.js');
+  } catch (_err) {
+    trainWorker = null;
+    return null;
+  }
+  trainWorker.onmessage = (e) => onWorkerMessage(e.data);
+  trainWorker.onerror = (e) => {
+    e.preventDefault();
+    const batch = workerBatch;
+    trainWorker.terminate();
+    trainWorker = null;
+    // The worker never loaded (or crashed): fall back to the main thread
+    if (batch) {
+      endWorkerBatch();
+      statusEl.textContent = 'Worker unavailable; training on the main thread.';
+      runBatchSync(batch.total);
+    }
+  };
+  return trainWorker;
+}
+
 function runBatch(n) {
   if (running) return;
   syncQParams();
+  applySeed();
+
+  // "New map each episode": train across generated maps seed, seed+1, ...
+  // Start from the generated layout so position tables match its size.
+  const varyMaps = document.getElementById('genVary').checked;
+  if (varyMaps && currentLayoutKey !== 'random') {
+    document.getElementById('layoutSelect').value = 'random';
+    if (!switchLayout('random')) return;
+  }
+
+  const worker = getTrainWorker();
+  if (!worker) {
+    runBatchSync(n);
+    return;
+  }
+
   const agent = getActiveAgent();
+  const seedText = document.getElementById('seed').value.trim();
+  const { rng: _rng, ...options } = getEnvOptions(); // functions can't be posted
+
+  running = true;
+  setButtonsEnabled(false);
+  document.getElementById('cancelBatch').disabled = false;
+  workerBatch = { agent, varyMaps, total: n };
+
+  worker.postMessage({
+    type: 'start',
+    kind: document.getElementById('agentSelect').value,
+    params: getQParams(),
+    snapshot: agent.snapshot(),
+    world: { layout: env.layout, start: env.startPos, options, signal: getSignalOptions() },
+    episodes: n,
+    seed: seedText === '' ? null : (Number(seedText) || 0),
+    generator: varyMaps ? getGeneratorOptions() : null,
+  });
+  statusEl.textContent = `${agent.name}: training 0/${n} episodes...`;
+}
+
+function onWorkerMessage(msg) {
+  const batch = workerBatch;
+  if (!batch) return;
 
-  for (let i = 0; i < n; i++) {
+  if (msg.type === 'progress') {
+    addEpisodeCounts(msg.counts);
+    statusEl.textContent = `${batch.agent.name}: training ${msg.done}/${msg.total} episodes...`;
+  } else if (msg.type === 'done') {
+    batch.agent.restore(msg.snapshot);
+    if (batch.varyMaps) {
+      // The last generated map, not the seed's, so it becomes the custom layout
+      swapWorld(msg.world.layout, msg.world.start);
+      setCustomLayout(msg.world.layout, msg.world.start);
+      document.getElementById('mapText').value = serializeLayout(env);
+    }
+    endWorkerBatch();
     env.reset();
-    while (!env.done) {
-      const state = env.getState();
-      const action = agent.act(state);
-      const result = env.step(action);
-      agent.learn(state, action, result.reward, result.state, result.done);
+    renderer.draw();
+    updateAgentPanels();
+    const maps = batch.varyMaps ? ` on ${msg.done} generated maps` : '';
+    if (msg.error) {
+      statusEl.textContent = `${batch.agent.name}: stopped after ${msg.done} of ${msg.total} episodes${maps}: ` +
+        `${msg.error} Progress kept.`;
+    } else {
+      statusEl.textContent = msg.cancelled
+        ? `${batch.agent.name}: cancelled after ${msg.done} of ${msg.total} episodes${maps}. Progress kept.`
+        : `${batch.agent.name}: ran ${msg.done} episodes${maps}. See stats panel.`;
     }
-    recordEpisode(env);
+  } else if (msg.type === 'error') {
+    endWorkerBatch();
+    statusEl.textContent = `Training error: ${msg.message}`;
+  }
+}
+
+function endWorkerBatch() {
+  workerBatch = null;
+  running = false;
+  setButtonsEnabled(true);
+  document.getElementById('cancelBatch').disabled = true;
+}
+
+function cancelBatch() {
+  if (workerBatch && trainWorker) trainWorker.postMessage({ type: 'cancel' });
+}
+
+/**
+ * Main-thread batch (blocks the page). Used when workers are unavailable.
+ * If a map can't be generated the batch stops there, keeping the episodes
+ * already run.
+ */
+function runBatchSync(n) {
+  const varyMaps = document.getElementById('genVary').checked;
+  const agent = getActiveAgent();
+
+  let done = 0;
+  let stopError = null;
+  for (; done < n; done++) {
+    if (varyMaps) {
+      let generated;
+      try {
+        generated = generateLayout(getGeneratorOptions(done));
+      } catch (err) {
+        stopError = err.message;
+        break;
+      }
+      swapWorld(generated.layout, generated.start);
+    }
+    const ep = runEpisode(env, agent);
+    recordEpisode(env, { outcome: ep.outcome });
   }
 
   renderer.draw();
-  statusEl.textContent = `${agent.name}: ran ${n} episodes. See stats panel.`;
+  updateAgentPanels();
+  if (varyMaps) {
+    setCustomLayout(env.layout, env.startPos);
+    document.getElementById('mapText').value = serializeLayout(env);
+  }
+  if (stopError) {
+    statusEl.textContent = `${agent.name}: stopped after ${done} of ${n} episodes: ${stopError} Progress kept.`;
+  } else {
+    statusEl.textContent = varyMaps
+      ? `${agent.name}: ran ${n} episodes on ${n} generated maps. See stats panel.`
+      : `${agent.name}: ran ${n} episodes. See stats panel.`;
+  }
 }
 
-function showEndStatus(agentName) {
-  const cell = env.layout[env.agentRow][env.agentCol];
-  if (cell === CELL_GOAL) {
+function showEndStatus(agentName, info) {
+  if (info.outcome === 'goal') {
     statusEl.textContent = `${agentName} reached goal! ${env.steps} steps, reward ${env.totalReward.toFixed(2)}`;
-  } else if (cell === CELL_PIT) {
+  } else if (info.outcome === 'pit') {
     statusEl.textContent = `${agentName} fell in pit. ${env.steps} steps, reward ${env.totalReward.toFixed(2)}`;
   } else {
     statusEl.textContent = `${agentName} timed out. ${env.steps} steps, reward ${env.totalReward.toFixed(2)}`;
@@ -214,10 +1114,16 @@ function sleep(ms) {
 env.reset();
 renderer.draw();
 updateStatsDisplay();
+updateChannelPicker();
+updateAgentPanels();
+document.getElementById('mapText').value = serializeLayout(env);
+updateRandomOptionLabel();
 
 // --- Keyboard: manual control ---
 document.addEventListener('keydown', (e) => {
   if (running) return;
+  // Don't steal keys while the user is typing in a field
+  if (e.target.matches('input, textarea, select')) return;
 
   let action = null;
   switch (e.key) {
@@ -228,6 +1134,7 @@ document.addEventListener('keydown', (e) => {
     case 'r':
     case 'R':
       env.reset();
+      signalField.beginEpisode(env.agentRow, env.agentCol);
       renderer.draw();
       statusEl.textContent = 'Reset. Use arrow keys or run an agent.';
       return;
@@ -236,13 +1143,20 @@ document.addEventListener('keydown', (e) => {
   if (action === null) return;
   e.preventDefault();
 
+  // The trail and agent emitter follow the player as they follow an agent.
+  // Other resets (stats, layout) don't start the field's episode, so do it here.
+  if (env.steps === 0) signalField.beginEpisode(env.agentRow, env.agentCol);
+  const wasDone = env.done;
   const result = env.step(action);
+  if (!wasDone) signalField.visit(result.state[0], result.state[1]);
   renderer.draw();
 
-  if (result.done && result.reward > 0) {
+  if (result.info.outcome === 'goal') {
     statusEl.textContent = `Goal! Reward: ${env.totalReward.toFixed(2)} in ${env.steps} steps. Press R to reset.`;
-  } else if (result.done && result.reward < 0) {
+  } else if (result.info.outcome === 'pit') {
     statusEl.textContent = `Pit! Reward: ${env.totalReward.toFixed(2)} in ${env.steps} steps. Press R to reset.`;
+  } else if (result.info.outcome === 'timeout') {
+    statusEl.textContent = `Timed out after ${env.steps} steps. Press R to reset.`;
   } else {
     statusEl.textContent = `Moved ${ACTION_NAMES[action]} | Step ${env.steps} | Reward: ${env.totalReward.toFixed(2)}`;
   }
@@ -250,7 +1164,12 @@ document.addEventListener('keydown', (e) => {
 
 // --- Button handlers ---
 document.getElementById('runOne').addEventListener('click', runOneEpisode);
-document.getElementById('runBatch').addEventListener('click', () => runBatch(100));
+document.getElementById('runBatch').addEventListener('click', () => runBatch(getBatchSize()));
+document.getElementById('cancelBatch').addEventListener('click', cancelBatch);
+
+document.getElementById('batchEpisodes').addEventListener('input', () => {
+  document.getElementById('runBatch').textContent = `Run ${getBatchSize()} Episodes`;
+});
 
 document.getElementById('resetStats').addEventListener('click', () => {
   resetStats();
@@ -260,46 +1179,210 @@ document.getElementById('resetStats').addEventListener('click', () => {
 });
 
 document.getElementById('resetQ').addEventListener('click', () => {
-  qAgent.resetQ();
-  signalQAgent.resetQ();
+  for (const agent of learningAgents()) agent.resetQ();
   resetStats();
   env.reset();
   renderer.draw();
+  updateAgentPanels();
   statusEl.textContent = 'All Q-tables and stats reset.';
 });
 
+document.getElementById('compareOptimal').addEventListener('click', compareWithOptimal);
+document.getElementById('evalTransfer').addEventListener('click', evaluateOnTransfer);
+
 document.getElementById('speed').addEventListener('input', () => {
   const speed = document.getElementById('speed').value;
   document.getElementById('speedLabel').textContent = `${speed} steps/sec`;
 });
 
-document.getElementById('showQ').addEventListener('change', (e) => {
-  renderer.showQ = e.target.checked;
-  if (e.target.checked) {
-    // Turn off signals overlay when Q is on (they overlap)
-    renderer.showSignals = false;
-    document.getElementById('showSignals').checked = false;
-  }
+// Q-values, signals, error and policy arrows all fill the cells, so only one can be on
+const EXCLUSIVE_OVERLAYS = ['showQ', 'showSignals', 'showError', 'showPolicy'];
+
+for (const id of EXCLUSIVE_OVERLAYS) {
+  document.getElementById(id).addEventListener('change', (e) => {
+    renderer[id] = e.target.checked;
+    if (e.target.checked) {
+      for (const other of EXCLUSIVE_OVERLAYS) {
+        if (other === id) continue;
+        renderer[other] = false;
+        document.getElementById(other).checked = false;
+      }
+    }
+    renderer.draw();
+  });
+}
+
+// Double Q-learning: show table A, table B or their average
+document.getElementById('qTable').addEventListener('change', (e) => {
+  renderer.qTable = e.target.value;
   renderer.draw();
 });
 
-document.getElementById('showSignals').addEventListener('change', (e) => {
-  renderer.showSignals = e.target.checked;
-  if (e.target.checked) {
-    // Turn off Q overlay when signals is on
-    renderer.showQ = false;
-    document.getElementById('showQ').checked = false;
-  }
+document.getElementById('signalChannel').addEventListener('change', (e) => {
+  renderer.signalChannel = e.target.value === '' ? null : e.target.value;
+  renderer.draw();
+});
+
+document.getElementById('showTraces').addEventListener('change', (e) => {
+  renderer.showTraces = e.target.checked;
+  renderer.draw();
+});
+
+// Hyperparameters update the agents live, but not mid-run: a worker batch
+// trains a copy, and its result would overwrite the edit
+const Q_PARAM_IDS = [
+  'alpha', 'gamma', 'lambda', 'traceType', 'planningSteps', 'kappa', 'mcVisits', 'mcStepSize',
+  'beta', 'pgBaseline', 'dqnLearningRate', 'dqnTargetUpdate',
+];
+for (const id of Q_PARAM_IDS) {
+  document.getElementById(id).addEventListener('change', () => {
+    if (refuseWhileRunning(Q_PARAM_IDS, 'the hyperparameters')) return;
+    syncQParams();
+    rememberControls(Q_PARAM_IDS);
+  });
+}
+rememberControls(Q_PARAM_IDS);
+
+// Tile coding changes the number of features, so the linear agent starts over
+const TILE_CODING_IDS = ['linTileCoding', 'linTilings', 'linTiles'];
+for (const id of TILE_CODING_IDS) {
+  document.getElementById(id).addEventListener('change', () => {
+    if (refuseWhileRunning(TILE_CODING_IDS, 'the Linear Q tile coding')) return;
+    linearQAgent = new LinearQAgent(signalField, { ...getQParams(), rng });
+    rememberControls(TILE_CODING_IDS);
+    renderer.qAgent = overlayAgent();
+    renderer.draw();
+    updateAgentPanels();
+    statusEl.textContent = `Linear Q features changed (${linearQAgent.numFeatures} per action). Weights reset.`;
+  });
+}
+rememberControls(TILE_CODING_IDS);
+
+// The Signal Q encoding sizes its table, so the agent starts over
+for (const id of SIGNAL_Q_IDS) {
+  document.getElementById(id).addEventListener('change', rebuildSignalQ);
+}
+rememberControls(SIGNAL_Q_IDS);
+
+// Exploration settings replace every agent's strategy
+for (const id of EXPLORATION_IDS) {
+  document.getElementById(id).addEventListener('change', applyExploration);
+}
+rememberControls(EXPLORATION_IDS);
+
+// Signal shape edits rebuild the field; the agents keep what they learned
+const SIGNAL_SHAPE_IDS = [
+  'goalDecay', 'goalMetric', 'pitDecay', 'pitMetric', 'signalRange', 'signalRate', 'signalSigma',
+  'agentSignal', 'trailStrength', 'trailEvaporation', 'trailPersist',
+];
+for (const id of SIGNAL_SHAPE_IDS) {
+  document.getElementById(id).addEventListener('change', () => {
+    if (refuseWhileRunning(SIGNAL_SHAPE_IDS, 'the signal shape')) return;
+    signalField = new SignalField(env, getSignalOptions());
+    rememberControls(SIGNAL_SHAPE_IDS);
+    signalQAgent.signalField = signalField;
+    linearQAgent.signalField = signalField;
+    dqnAgent.signalField = signalField;
+    renderer.signalField = signalField;
+    updateChannelPicker();
+    renderer.draw();
+    statusEl.textContent = 'Signal shape updated. Agents keep what they learned.';
+  });
+}
+rememberControls(SIGNAL_SHAPE_IDS);
+
+// Slip probability applies to the current env immediately
+document.getElementById('slip').addEventListener('change', () => {
+  if (refuseWhileRunning(['slip'], 'the slip probability')) return;
+  env.slip = getEnvOptions().slip;
+  rememberControls(['slip']);
+  solvePlanners();
   renderer.draw();
+  statusEl.textContent = `Slip probability set to ${env.slip}.`;
 });
+rememberControls(['slip']);
 
-// Live-update hyperparameters
-for (const id of ['alpha', 'gamma', 'epsilon']) {
-  document.getElementById(id).addEventListener('change', syncQParams);
+// Reward spec edits apply to the current env immediately
+const REWARD_IDS = ['rewardStep', 'rewardWallBump', 'rewardGoal', 'rewardPit', 'rewardTimeout', 'rewardCells'];
+for (const id of REWARD_IDS) {
+  document.getElementById(id).addEventListener('change', () => {
+    if (refuseWhileRunning(REWARD_IDS, 'the reward function')) return;
+    env.rewards = { ...DEFAULT_REWARDS, ...getRewardSpec() };
+    rememberControls(REWARD_IDS);
+    solvePlanners();
+    renderer.draw();
+    statusEl.textContent = 'Reward function updated.';
+  });
 }
+rememberControls(REWARD_IDS);
+
+// The Q and policy overlays follow the selected position-based agent
+document.getElementById('agentSelect').addEventListener('change', () => {
+  renderer.qAgent = overlayAgent();
+  renderer.policyAgent = policyAgent();
+  renderer.draw();
+  drawExplorationPlot();
+});
 
 // Layout switcher
 document.getElementById('layoutSelect').addEventListener('change', (e) => {
   if (running) return;
   switchLayout(e.target.value);
 });
+
+// Random layout generator: changing any setting regenerates if "Random" is showing
+for (const id of ['genType', 'genSeed', 'genRows', 'genCols', 'genGoals', 'genPits']) {
+  document.getElementById(id).addEventListener('change', () => {
+    updateRandomOptionLabel();
+    if (!running && currentLayoutKey === 'random') {
+      switchLayout('random');
+    }
+  });
+}
+
+document.getElementById('loadMap').addEventListener('click', () => {
+  if (running) return;
+  loadCustomMap();
+});
+
+// Layout editor
+document.getElementById('editMode').addEventListener('change', (e) => {
+  canvas.classList.toggle('editing', e.target.checked);
+  document.getElementById('editRows').value = env.rows;
+  document.getElementById('editCols').value = env.cols;
+  statusEl.textContent = e.target.checked
+    ? 'Edit mode: click or drag on the grid to paint.'
+    : 'Edit mode off.';
+});
+
+canvas.addEventListener('mousedown', (e) => {
+  if (running || !isEditing()) return;
+  // Edit a copy so the built-in layouts are never modified
+  editDraft = {
+    layout: env.layout.map(row => Array.from(row)),
+    start: [env.startPos[0], env.startPos[1]],
+    changed: false,
+  };
+  env.layout = editDraft.layout;
+  if (paintAt(e)) {
+    editDraft.changed = true;
+    renderer.draw();
+  }
+});
+
+canvas.addEventListener('mousemove', (e) => {
+  if (!editDraft) return;
+  if (paintAt(e)) {
+    editDraft.changed = true;
+    renderer.draw();
+  }
+});
+
+window.addEventListener('mouseup', () => {
+  if (editDraft) commitEdit();
+});
+
+document.getElementById('resizeGrid').addEventListener('click', () => {
+  if (running) return;
+  resizeLayout();
+});
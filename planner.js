@@ -0,0 +1,296 @@
+'use strict';
+
+// Node: there are no <script> tags sharing globals, so pull in what this
+// file uses from the files index.html loads before it.
+if (typeof module !== 'undefined' && module.exports) {
+  Object.assign(globalThis, require('./env.js'));
+}
+
+/**
+ * Planners — exact dynamic-programming solutions, as reference baselines.
+ *
+ * A learning agent only sees sampled transitions. A planner reads the
+ * rules directly (GridWorld.transitions, which includes slipping and the
+ * reward spec) and computes the true optimal values:
+ *
+ *   Q*(s, a) = Σ_s' P(s' | s, a) · [ r + γ · V*(s') ]      (V*(s') = 0 if s' ends the episode)
+ *   V*(s)    = max_a Q*(s, a)
+ *
+ * The timeout is ignored: it depends on the step count, which isn't part
+ * of the (row, col) state, so these are the infinite-horizon values the
+ * learners are also estimating (they bootstrap through truncation).
+ *
+ * Planners expose getQ/getMaxQ/getPolicy like QLearningAgent, so the
+ * renderer can draw Q* and its greedy policy directly, and act() greedily
+ * so they can be run as an agent.
+ */
+
+class TabularPlanner {
+  constructor(env, { gamma = 0.95, theta = 1e-6, maxIterations = 10000, rng = Math.random } = {}) {
+    this.env = env;
+    this.rows = env.rows;
+    this.cols = env.cols;
+    this.gamma = gamma;
+    this.theta = theta;           // stop when no value changes by more than this
+    this.maxIterations = maxIterations;
+    this.rng = rng;
+
+    this.v = [];
+    this.q = [];
+    for (let r = 0; r < this.rows; r++) {
+      this.v[r] = new Float64Array(this.cols);
+      this.q[r] = [];
+      for (let c = 0; c < this.cols; c++) {
+        this.q[r][c] = new Float64Array(NUM_ACTIONS);
+      }
+    }
+    this.iterations = 0;          // sweeps (value iteration) or improvements (policy iteration)
+  }
+
+  /** Cells the agent can stand on and act from (not walls, goals or pits). */
+  _isDecisionCell(r, c) {
+    return this.env.layout[r][c] === CELL_EMPTY;
+  }
+
+  /** One-step lookahead: Q(s, a) from the current value estimates. */
+  _backup(r, c, a) {
+    let total = 0;
+    for (const t of this.env.transitions(r, c, a)) {
+      const future = t.terminated ? 0 : this.v[t.row][t.col];
+      total += t.prob * (t.reward + this.gamma * future);
+    }
+    return total;
+  }
+
+  /** Fill q from v for every decision cell. */
+  _computeQ() {
+    for (let r = 0; r < this.rows; r++) {
+      for (let c = 0; c < this.cols; c++) {
+        if (!this._isDecisionCell(r, c)) continue;
+        for (let a = 0; a < NUM_ACTIONS; a++) {
+          this.q[r][c][a] = this._backup(r, c, a);
+        }
+      }
+    }
+  }
+
+  // --- Agent-style API ---
+
+  /** Greedy action with random tie-breaking. */
+  act(state) {
+    const qv = this.q[state[0]][state[1]];
+    const best = Math.max(qv[0], qv[1], qv[2], qv[3]);
+    const ties = [];
+    for (let a = 0; a < NUM_ACTIONS; a++) {
+      if (qv[a] === best) ties.push(a);
+    }
+    return ties[Math.floor(this.rng() * ties.length)];
+  }
+
+  /** Planners already know the answer; experience changes nothing. */
+  learn() {}
+
+  endEpisode() {}
+
+  getQ(row, col) {
+    return Array.from(this.q[row][col]);
+  }
+
+  getMaxQ(row, col) {
+    const qv = this.q[row][col];
+    return Math.max(qv[0], qv[1], qv[2], qv[3]);
+  }
+
+  /** The greedy policy act() follows: tied best actions share 1. */
+  getPolicy(row, col) {
+    const qv = this.q[row][col];
+    const best = Math.max(qv[0], qv[1], qv[2], qv[3]);
+    const greedy = Array.from(qv, v => v === best);
+    const numGreedy = greedy.filter(Boolean).length;
+    return greedy.map(g => (g ? 1 / numGreedy : 0));
+  }
+
+  /** "Resetting" a planner just re-solves it (e.g. after the rules changed). */
+  resetQ() {
+    this.solve();
+  }
+
+  snapshot() {
+    return {};
+  }
+
+  restore(_snapshot) {}
+}
+
+/**
+ * ValueIteration — repeatedly apply the Bellman optimality backup to every
+ * state until the values stop changing:
+ *
+ *   V(s) ← max_a Σ_s' P(s' | s, a) · [ r + γ · V(s') ]
+ */
+
+class ValueIteration extends TabularPlanner {
+  constructor(env, options = {}) {
+    super(env, options);
+    this.name = 'Value Iteration';
+  }
+
+  /** Compute V* and Q*. Returns this, so `new ValueIteration(env).solve()` reads well. */
+  solve() {
+    for (let r = 0; r < this.rows; r++) this.v[r].fill(0);
+
+    this.iterations = 0;
+    while (this.iterations < this.maxIterations) {
+      this.iterations++;
+      let biggestChange = 0;
+      for (let r = 0; r < this.rows; r++) {
+        for (let c = 0; c < this.cols; c++) {
+          if (!this._isDecisionCell(r, c)) continue;
+          let best = -Infinity;
+          for (let a = 0; a < NUM_ACTIONS; a++) {
+            best = Math.max(best, this._backup(r, c, a));
+          }
+          biggestChange = Math.max(biggestChange, Math.abs(best - this.v[r][c]));
+          this.v[r][c] = best;
+        }
+      }
+      if (biggestChange < this.theta) break;
+    }
+
+    this._computeQ();
+    return this;
+  }
+}
+
+/**
+ * PolicyIteration — alternate two steps until the policy stops changing:
+ *
+ *   evaluation:  compute V^π for the current policy π (iteratively)
+ *   improvement: make π greedy with respect to V^π
+ *
+ * Usually converges in a handful of improvements. Ends at the same V* and Q*
+ * as value iteration.
+ */
+
+class PolicyIteration extends TabularPlanner {
+  constructor(env, options = {}) {
+    super(env, options);
+    this.name = 'Policy Iteration';
+    this.policy = [];
+    for (let r = 0; r < this.rows; r++) {
+      this.policy[r] = new Uint8Array(this.cols); // start by always going up
+    }
+  }
+
+  _evaluatePolicy() {
+    for (let sweep = 0; sweep < this.maxIterations; sweep++) {
+      let biggestChange = 0;
+      for (let r = 0; r < this.rows; r++) {
+        for (let c = 0; c < this.cols; c++) {
+          if (!this._isDecisionCell(r, c)) continue;
+          const value = this._backup(r, c, this.policy[r][c]);
+          biggestChange = Math.max(biggestChange, Math.abs(value - this.v[r][c]));
+          this.v[r][c] = value;
+        }
+      }
+      if (biggestChange < this.theta) return;
+    }
+  }
+
+  /** Make the policy greedy. Returns true if nothing changed (policy is stable). */
+  _improvePolicy() {
+    let stable = true;
+    for (let r = 0; r < this.rows; r++) {
+      for (let c = 0; c < this.cols; c++) {
+        if (!this._isDecisionCell(r, c)) continue;
+        const current = this.policy[r][c];
+        let bestAction = current;
+        let bestValue = this._backup(r, c, current);
+        for (let a = 0; a < NUM_ACTIONS; a++) {
+          const value = this._backup(r, c, a);
+          // Only switch for a real improvement, so ties can't make it flip forever
+          if (value > bestValue + this.theta) {
+            bestValue = value;
+            bestAction = a;
+          }
+        }
+        if (bestAction !== current) {
+          this.policy[r][c] = bestAction;
+          stable = false;
+        }
+      }
+    }
+    return stable;
+  }
+
+  solve() {
+    for (let r = 0; r < this.rows; r++) {
+      this.v[r].fill(0);
+      this.policy[r].fill(0);
+    }
+
+    this.iterations = 0;
+    while (this.iterations < this.maxIterations) {
+      this.iterations++;
+      this._evaluatePolicy();
+      if (this._improvePolicy()) break;
+    }
+
+    this._computeQ();
+    return this;
+  }
+}
+
+/**
+ * Compare a learner's Q-table with a planner's Q* on every decision cell.
+ *
+ * Returns {
+ *   error:         grid [row][col] of mean |Q(s,a) − Q*(s,a)| over actions
+ *                  (NaN for walls, goals and pits),
+ *   mean, max:     summary of that grid,
+ *   maxAt:         [row, col] of the worst cell,
+ *   policyMatches: cells where the learner's greedy action is also optimal,
+ *   cells:         number of decision cells compared
+ * }
+ */
+function compareQ(agent, planner) {
+  const error = [];
+  let sum = 0;
+  let max = 0;
+  let maxAt = null;
+  let cells = 0;
+  let policyMatches = 0;
+
+  for (let r = 0; r < planner.rows; r++) {
+    error[r] = new Float64Array(planner.cols).fill(NaN);
+    for (let c = 0; c < planner.cols; c++) {
+      if (!planner._isDecisionCell(r, c)) continue;
+      const q = agent.getQ(r, c);
+      const qStar = planner.getQ(r, c);
+
+      let err = 0;
+      for (let a = 0; a < NUM_ACTIONS; a++) err += Math.abs(q[a] - qStar[a]);
+      err /= NUM_ACTIONS;
+      error[r][c] = err;
+
+      sum += err;
+      cells++;
+      if (maxAt === null || err > max) {
+        max = err;
+        maxAt = [r, c];
+      }
+
+      // Greedy action of the learner, checked against Q*'s best value
+      const greedy = q.indexOf(Math.max(...q));
+      if (qStar[greedy] >= Math.max(...qStar) - 1e-9) policyMatches++;
+    }
+  }
+
+  return { error, mean: cells > 0 ? sum / cells : 0, max, maxAt, policyMatches, cells };
+}
+
+// Node (train.js): export the public surface. In the browser these are
+// plain script globals and this block is skipped.
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TabularPlanner, ValueIteration, PolicyIteration, compareQ };
+}
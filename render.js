@@ -9,7 +9,20 @@
  * When showQ is true and a QLearningAgent is provided, each empty cell
  * is split into four triangular wedges (up/right/down/left), each colored
  * by that action's Q-value. Green = high, red = low, blue = near zero.
- * This shows the full Q-value landscape at a glance.
+ * This shows the full Q-value landscape at a glance. For Double Q-learning,
+ * qTable picks which of its two tables is drawn ('a', 'b' or 'average').
+ *
+ * When showTraces is true and the Q agent keeps eligibility traces
+ * (TraceAgent), each cell gets a yellow tint proportional to its trace, so
+ * you can watch credit spread back along the path during an episode.
+ *
+ * When showPolicy is true and a policy agent is set, each empty cell gets
+ * four arrows whose lengths are the action probabilities π(a | s), so
+ * policy-gradient agents (no Q-values) can be compared with epsilon-greedy ones.
+ *
+ * When showError is true and a baseline planner is set, each empty cell is
+ * tinted magenta by how far the Q agent's values are from the optimal ones
+ * (mean |Q − Q*| over the four actions, see compareQ in planner.js).
  */
 
 const COLORS = {
@@ -33,8 +46,15 @@ class Renderer {
     this.gap = 2;
     this.qAgent = null;       // set to a QLearningAgent to enable Q overlay
     this.showQ = false;       // toggle Q-value overlay
+    this.qTable = 'average';  // which table of a two-table agent (Double Q) to show: 'a' | 'b' | 'average'
     this.signalField = null;  // set to a SignalField to enable signal overlay
     this.showSignals = false; // toggle signal overlay
+    this.signalChannel = null; // channel to show in the signal overlay (null = combined)
+    this.showTraces = false;  // toggle eligibility-trace overlay (needs qAgent.getTrace)
+    this.policyAgent = null;  // set to an agent with getPolicy(row, col) to enable the policy overlay
+    this.showPolicy = false;  // toggle action-probability arrows
+    this.baseline = null;     // set to a solved planner to enable the error overlay
+    this.showError = false;   // toggle |Q − Q*| overlay
   }
 
   get cellSize() {
@@ -50,6 +70,15 @@ class Renderer {
     return [x, y];
   }
 
+  /** Convert a canvas pixel position to [row, col], or null if it's in a gap or off-grid. */
+  cellAt(x, y) {
+    const size = this.cellSize;
+    const col = Math.floor((x - this.gap) / (size + this.gap));
+    const row = Math.floor((y - this.gap) / (size + this.gap));
+    if (row < 0 || row >= this.env.rows || col < 0 || col >= this.env.cols) return null;
+    return [row, col];
+  }
+
   /**
    * Convert a Q-value to a color.
    * Positive values → green, negative → red, zero → neutral blue.
@@ -86,7 +115,7 @@ class Renderer {
       for (let r = 0; r < this.env.rows; r++) {
         for (let c = 0; c < this.env.cols; c++) {
           if (this.env.layout[r][c] === CELL_WALL) continue;
-          const qv = this.qAgent.getQ(r, c);
+          const qv = this.qAgent.getQ(r, c, this.qTable);
           for (let a = 0; a < NUM_ACTIONS; a++) {
             if (qv[a] < minQ) minQ = qv[a];
             if (qv[a] > maxQ) maxQ = qv[a];
@@ -107,7 +136,7 @@ class Renderer {
 
         // Q-value wedge view for empty cells when overlay is on
         if (this.showQ && this.qAgent && cell === CELL_EMPTY) {
-          const qv = this.qAgent.getQ(r, c);
+          const qv = this.qAgent.getQ(r, c, this.qTable);
           const cx = x + size / 2;
           const cy = y + size / 2;
 
@@ -178,7 +207,7 @@ class Renderer {
 
           // Signal overlay: tint empty cells by signal strength
           if (this.showSignals && this.signalField && cell === CELL_EMPTY) {
-            const sig = this.signalField.read(r, c);
+            const sig = this.signalField.read(r, c, this.signalChannel);
             if (sig > 0) {
               // Positive signal: green glow (goal scent)
               const alpha = Math.min(0.6, sig * 0.6);
@@ -215,6 +244,84 @@ class Renderer {
       }
     }
 
+    // Policy overlay: an arrow per action, as long as its probability
+    if (this.showPolicy && this.policyAgent) {
+      ctx.strokeStyle = 'rgba(255,255,255,0.85)';
+      ctx.fillStyle = 'rgba(255,255,255,0.85)';
+      ctx.lineCap = 'round';
+      for (let r = 0; r < this.env.rows; r++) {
+        for (let c = 0; c < this.env.cols; c++) {
+          if (this.env.layout[r][c] !== CELL_EMPTY) continue;
+          const probs = this.policyAgent.getPolicy(r, c);
+          const [x, y] = this.cellOrigin(r, c);
+          const cx = x + size / 2;
+          const cy = y + size / 2;
+          for (let a = 0; a < NUM_ACTIONS; a++) {
+            const len = probs[a] * size * 0.45;
+            if (len < 1) continue;
+            const [dr, dc] = DELTAS[a];
+            const ex = cx + dc * len;
+            const ey = cy + dr * len;
+            ctx.lineWidth = Math.max(1, size * 0.04);
+            ctx.beginPath();
+            ctx.moveTo(cx, cy);
+            ctx.lineTo(ex, ey);
+            ctx.stroke();
+
+            // Arrowhead, scaled with the probability
+            const head = Math.min(size * 0.12, len * 0.5);
+            ctx.beginPath();
+            ctx.moveTo(ex, ey);
+            ctx.lineTo(ex - dc * head - dr * head * 0.6, ey - dr * head - dc * head * 0.6);
+            ctx.lineTo(ex - dc * head + dr * head * 0.6, ey - dr * head + dc * head * 0.6);
+            ctx.closePath();
+            ctx.fill();
+          }
+        }
+      }
+    }
+
+    // Error overlay: tint by distance from the optimal Q-values
+    if (this.showError && this.qAgent && this.baseline && this.qAgent !== this.baseline) {
+      const { error, max } = compareQ(this.qAgent, this.baseline);
+      for (let r = 0; r < this.env.rows; r++) {
+        for (let c = 0; c < this.env.cols; c++) {
+          const err = error[r][c];
+          if (Number.isNaN(err)) continue;
+          const [x, y] = this.cellOrigin(r, c);
+          ctx.fillStyle = `rgba(155, 89, 182, ${(0.7 * err / Math.max(max, 0.01)).toFixed(3)})`;
+          ctx.fillRect(x, y, size, size);
+
+          ctx.fillStyle = 'rgba(255,255,255,0.6)';
+          ctx.font = `${Math.floor(size * 0.2)}px system-ui`;
+          ctx.textAlign = 'center';
+          ctx.textBaseline = 'middle';
+          ctx.fillText(err.toFixed(2), x + size / 2, y + size / 2);
+        }
+      }
+    }
+
+    // Trace overlay: tint by trace magnitude, on top of whatever is drawn
+    if (this.showTraces && this.qAgent && this.qAgent.getTrace) {
+      let maxTrace = 0;
+      for (let r = 0; r < this.env.rows; r++) {
+        for (let c = 0; c < this.env.cols; c++) {
+          maxTrace = Math.max(maxTrace, this.qAgent.getTrace(r, c));
+        }
+      }
+      if (maxTrace > 0) {
+        for (let r = 0; r < this.env.rows; r++) {
+          for (let c = 0; c < this.env.cols; c++) {
+            const tr = this.qAgent.getTrace(r, c);
+            if (tr <= 0) continue;
+            const [x, y] = this.cellOrigin(r, c);
+            ctx.fillStyle = `rgba(241, 196, 15, ${(0.6 * tr / maxTrace).toFixed(3)})`;
+            ctx.fillRect(x, y, size, size);
+          }
+        }
+      }
+    }
+
     // Draw agent
     const [ax, ay] = this.cellOrigin(this.env.agentRow, this.env.agentCol);
     ctx.fillStyle = COLORS.agent;
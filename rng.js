@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * Seeded random numbers.
+ *
+ * Everything that makes a random choice (GridWorld slips, agent exploration
+ * and tie-breaking, the layout generator) takes an `rng` option: any
+ * function that returns floats in [0, 1), like Math.random. Passing the
+ * same seeded generator makes a run exactly repeatable; leaving it out
+ * falls back to Math.random.
+ */
+
+/**
+ * mulberry32 — a tiny, fast 32-bit PRNG. Good enough for simulations
+ * (not for cryptography). Returns a function with the Math.random contract.
+ */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Node (train.js): export the public surface. In the browser these are
+// plain script globals and this block is skipped.
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { mulberry32 };
+}
@@ -0,0 +1,378 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * train.js — headless training from the command line.
+ *
+ * Runs the same GridWorld / SignalField / agents as the page, with no DOM,
+ * and prints one line of metrics per episode (CSV or JSON lines) to stdout.
+ *
+ *   node train.js --agent signalq --layout transfer --episodes 5000 --seed 1
+ *   node train.js --agent qlearn --layout maps/spiral.txt --format json
+ *   node train.js --agent signalq --layout random --vary --rows 11 --cols 11
+ *   node train.js --agent dqn --episodes 500 --eval transfer
+ *
+ * Run with --help for all options.
+ */
+
+const fs = require('fs');
+const { mulberry32 } = require('./rng.js');
+const {
+  GridWorld, SignalField, parseLayout, validateLayout, DEFAULT_MAP, TRANSFER_MAP,
+  SIGNAL_CHANNELS, SIGNAL_DECAY_KINDS, SIGNAL_METRICS,
+} = require('./env.js');
+const { SCHEDULE_KINDS } = require('./exploration.js');
+const { generateLayout } = require('./generator.js');
+const { TabularPlanner } = require('./planner.js');
+const { createAgent, runEpisode, evaluateAgent } = require('./agent.js');
+
+const USAGE = `Usage: node train.js [options]
+
+  --agent <kind>      random | qlearn | sarsa | expsarsa | doubleq |
+                      qlambda | sarsalambda | dyna | montecarlo |
+                      reinforce | actorcritic | valueiter |
+                      policyiter | signalq | linearq | dqn (default: signalq)
+  --layout <name>     default | transfer | random | <path to a text map>
+                                                          (default: default)
+  --episodes <n>      number of episodes to train          (default: 1000)
+  --seed <n>          seed for env, agent and generator    (default: unseeded)
+  --format <fmt>      csv | json (one JSON object per line) (default: csv)
+  --eval <layout>     after training, run greedy episodes on this layout
+                      (same names as --layout) and print a summary to stderr
+                      (position agents and planners: same grid size only)
+  --eval-episodes <n> episodes for --eval                  (default: 100)
+
+  --alpha <x>         learning rate                        (default: 0.1)
+  --gamma <x>         discount factor                      (default: 0.95)
+  --explore <kind>    epsilon | boltzmann | ucb | optimistic
+                                                           (default: epsilon)
+  --epsilon <x>       exploration rate (start of decay)    (default: 0.1)
+  --temperature <x>   Boltzmann temperature (start)        (default: 1)
+  --schedule <kind>   constant | linear | exponential decay of epsilon or
+                      temperature                          (default: constant)
+  --explore-end <x>   epsilon or temperature after decay   (default: 0.01)
+  --decay <n>         episodes the decay takes             (default: 500)
+  --ucb-c <x>         UCB exploration bonus weight         (default: 1)
+  --initial-q <x>     optimistic initial Q-value           (default: 2)
+  --lambda <x>        trace decay for qlambda/sarsalambda  (default: 0.8)
+  --trace <type>      replacing | accumulating             (default: replacing)
+  --planning <n>      Dyna-Q planning steps per real step  (default: 10)
+  --kappa <x>         Dyna-Q+ exploration bonus            (default: 0)
+  --visits <kind>     Monte Carlo: first | every           (default: first)
+  --step-size <kind>  Monte Carlo: average | constant      (default: average)
+  --beta <x>          critic / baseline step size          (default: 0.1)
+  --no-baseline       REINFORCE without a baseline
+  --lr <x>            DQN learning rate (Adam)             (default: 0.001)
+  --target-update <n> DQN steps between target net copies  (default: 250)
+  --tile-coding       Linear Q: add tile-coded signal deltas
+  --tilings <n>, --tiles <n>  tilings and tiles per tiling (default: 4, 8)
+  --bins <n>          Signal Q: bins per direction         (default: 3)
+  --edges <list>      Signal Q: comma-separated ascending bin edges
+                      (overrides --bins)
+  --quantiles         Signal Q: fit the edges to observed deltas
+  --signal-bins <n>   Signal Q: buckets for the signal level (default: 0, off)
+  --wall-bits         Signal Q: add a blocked bit per direction
+  --channels <list>   Signal Q: comma-separated signal channels to sense,
+                      e.g. goal,pit                        (default: combined)
+  --slip <p>          slip probability                     (default: 0)
+  --max-steps <n>     episode step limit                   (default: 200)
+
+  Signal shape (all emitters, or per channel as goal=<x>,pit=<y>,agent=<z>):
+  --signal-decay <k>  inverse | inverse-square | exponential | linear |
+                      gaussian                             (default: inverse)
+  --signal-metric <m> path | manhattan | euclidean         (default: path)
+  --signal-range <n>  range of the linear decay            (default: 8)
+  --signal-rate <x>   rate of the exponential decay        (default: 0.5)
+  --signal-sigma <x>  width of the Gaussian decay          (default: 3)
+  --agent-signal <x>  strength of the agent's own emitter  (default: 0, off)
+  --trail <x>         pheromone trail strength; < 0 repels (default: 0, off)
+  --evaporation <x>   trail fade per step, 0 to 1          (default: 0.1)
+  --keep-trail        keep the trail between episodes
+
+  Random layouts (--layout random):
+  --type <kind>       maze | rooms                         (default: maze)
+  --rows <n>, --cols <n>                                   (default: 9 x 9)
+  --goals <n>, --pits <n>                                  (default: 1, 1)
+  --vary              train on a new map every episode (seed, seed+1, ...)
+
+  --help              show this message
+`;
+
+// Option name → [type, default]. Flags are booleans with no value.
+const OPTIONS = {
+  agent:           ['string', 'signalq'],
+  layout:          ['string', 'default'],
+  episodes:        ['number', 1000],
+  seed:            ['number', null],
+  format:          ['string', 'csv'],
+  eval:            ['string', null],
+  'eval-episodes': ['number', 100],
+  alpha:           ['number', 0.1],
+  gamma:           ['number', 0.95],
+  explore:         ['string', 'epsilon'],
+  epsilon:         ['number', 0.1],
+  temperature:     ['number', 1],
+  schedule:        ['string', 'constant'],
+  'explore-end':   ['number', 0.01],
+  decay:           ['number', 500],
+  'ucb-c':         ['number', 1],
+  'initial-q':     ['number', 2],
+  lambda:          ['number', 0.8],
+  trace:           ['string', 'replacing'],
+  planning:        ['number', 10],
+  kappa:           ['number', 0],
+  visits:          ['string', 'first'],
+  'step-size':     ['string', 'average'],
+  beta:            ['number', 0.1],
+  'no-baseline':   ['flag', false],
+  lr:              ['number', 0.001],
+  'target-update': ['number', 250],
+  'tile-coding':   ['flag', false],
+  tilings:         ['number', 4],
+  tiles:           ['number', 8],
+  bins:            ['number', 3],
+  edges:           ['string', null],
+  quantiles:       ['flag', false],
+  'signal-bins':   ['number', 0],
+  'wall-bits':     ['flag', false],
+  channels:        ['string', null],
+  slip:            ['number', 0],
+  'signal-decay':  ['string', null],
+  'signal-metric': ['string', null],
+  'signal-range':  ['number', 8],
+  'signal-rate':   ['number', 0.5],
+  'signal-sigma':  ['number', 3],
+  'agent-signal':  ['number', 0],
+  trail:           ['number', 0],
+  evaporation:     ['number', 0.1],
+  'keep-trail':    ['flag', false],
+  'max-steps':     ['number', 200],
+  type:            ['string', 'maze'],
+  rows:            ['number', 9],
+  cols:            ['number', 9],
+  goals:           ['number', 1],
+  pits:            ['number', 1],
+  vary:            ['flag', false],
+  help:            ['flag', false],
+};
+
+/** Parse --name value / --name=value / --flag arguments. Throws on anything unknown. */
+function parseArgs(argv) {
+  const opts = {};
+  for (const [name, [, fallback]] of Object.entries(OPTIONS)) opts[name] = fallback;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) throw new Error(`Unexpected argument '${arg}'.`);
+
+    let [name, value] = arg.slice(2).split(/=(.*)/s);
+    if (!(name in OPTIONS)) throw new Error(`Unknown option '--${name}'.`);
+    const [type] = OPTIONS[name];
+
+    if (type === 'flag') {
+      opts[name] = true;
+      continue;
+    }
+    if (value === undefined) {
+      if (i + 1 >= argv.length) throw new Error(`Option '--${name}' needs a value.`);
+      value = argv[++i];
+    }
+    if (type === 'number') {
+      const n = Number(value);
+      if (!Number.isFinite(n)) throw new Error(`Option '--${name}' expects a number, got '${value}'.`);
+      opts[name] = n;
+    } else {
+      opts[name] = value;
+    }
+  }
+  return opts;
+}
+
+/** Resolve a layout name (--layout or --eval) to { layout, start }. */
+function loadLayout(name, opts, seedOffset = 0) {
+  switch (name) {
+    case 'default':  return parseLayout(DEFAULT_MAP);
+    case 'transfer': return parseLayout(TRANSFER_MAP);
+    case 'random':   return generateLayout(generatorOptions(opts, seedOffset));
+    default:         return parseLayout(fs.readFileSync(name, 'utf8'));
+  }
+}
+
+function generatorOptions(opts, seedOffset) {
+  return {
+    type: opts.type, rows: opts.rows, cols: opts.cols, goals: opts.goals, pits: opts.pits,
+    seed: (opts.seed === null ? 1 : opts.seed) + seedOffset,
+  };
+}
+
+/** Build the createExploration() spec from --explore and its options. */
+function explorationSpec(opts) {
+  if (!SCHEDULE_KINDS.includes(opts.schedule)) {
+    throw new Error(`Unknown schedule '${opts.schedule}'. Use ${SCHEDULE_KINDS.join(', ')}.`);
+  }
+  const schedule = {
+    schedule: opts.schedule, end: opts['explore-end'], decayEpisodes: opts.decay,
+  };
+  switch (opts.explore) {
+    case 'epsilon':    return { strategy: 'epsilon', epsilon: opts.epsilon, ...schedule };
+    case 'boltzmann':  return { strategy: 'boltzmann', temperature: opts.temperature, ...schedule };
+    case 'ucb':        return { strategy: 'ucb', c: opts['ucb-c'] };
+    case 'optimistic': return { strategy: 'optimistic', initialValue: opts['initial-q'] };
+    default: throw new Error(`Unknown exploration strategy '${opts.explore}'.`);
+  }
+}
+
+/** Parse --edges "a,b,c" into numbers (null if not given). */
+function parseEdges(text) {
+  if (text === null) return null;
+  const edges = text.split(',').map(Number);
+  if (edges.some(e => !Number.isFinite(e))) throw new Error(`--edges expects numbers, got '${text}'.`);
+  return edges;
+}
+
+// Channels --signal-decay / --signal-metric can be set for
+const DECAY_CHANNELS = [...SIGNAL_CHANNELS, 'agent'];
+
+/**
+ * SignalField options from --signal-*, --agent-signal and the trail
+ * options. --signal-decay and --signal-metric take one value for every
+ * emitter, or channel=value pairs. The numbers are clamped like the
+ * page's Signal Shape panel does; unknown kinds, metrics and channels
+ * are rejected.
+ */
+function signalOptions(opts) {
+  const decay = {
+    range: Math.max(1, opts['signal-range']),
+    rate: Math.max(0, opts['signal-rate']),
+    sigma: Math.max(0.1, opts['signal-sigma']),
+  };
+  const perChannel = {};
+  const choices = { kind: SIGNAL_DECAY_KINDS, metric: SIGNAL_METRICS };
+  for (const [option, field] of [['signal-decay', 'kind'], ['signal-metric', 'metric']]) {
+    if (opts[option] === null) continue;
+    for (const part of opts[option].split(',')) {
+      const [channel, value] = part.includes('=') ? part.split('=') : [null, part];
+      if (channel !== null && !DECAY_CHANNELS.includes(channel)) {
+        throw new Error(`Unknown channel '${channel}' in --${option}. Use ${DECAY_CHANNELS.join(', ')}.`);
+      }
+      if (!choices[field].includes(value)) {
+        throw new Error(`Unknown ${field} '${value}' in --${option}. Use ${choices[field].join(', ')}.`);
+      }
+      if (channel === null) decay[field] = value;
+      else perChannel[channel] = { ...perChannel[channel], [field]: value };
+    }
+  }
+  return {
+    decay,
+    perChannel,
+    agentStrength: opts['agent-signal'],
+    trail: {
+      strength: opts.trail,
+      evaporation: Math.max(0, Math.min(1, opts.evaporation)),
+      persist: opts['keep-trail'],
+    },
+  };
+}
+
+const COLUMNS = ['episode', 'steps', 'reward', 'outcome', 'successRate'];
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (opts.format !== 'csv' && opts.format !== 'json') {
+    throw new Error(`Unknown format '${opts.format}' (use csv or json).`);
+  }
+  if (opts.vary && opts.layout !== 'random') {
+    throw new Error('--vary only applies to --layout random.');
+  }
+
+  const { layout, start } = loadLayout(opts.layout, opts);
+  const check = validateLayout(layout, start);
+  for (const w of check.warnings) process.stderr.write(`warning: ${w.message}\n`);
+  if (!check.valid) {
+    throw new Error(`Layout is not usable:\n  ${check.errors.map(e => e.message).join('\n  ')}`);
+  }
+
+  const rng = opts.seed === null ? Math.random : mulberry32(opts.seed);
+  const envOptions = { maxSteps: opts['max-steps'], slip: opts.slip, rng };
+  let env = new GridWorld(layout, start, envOptions);
+  const fieldOptions = signalOptions(opts);
+  const agent = createAgent(opts.agent, {
+    env,
+    signalField: new SignalField(env, fieldOptions),
+    params: {
+      alpha: opts.alpha, gamma: opts.gamma, exploration: explorationSpec(opts),
+      lambda: opts.lambda, traceType: opts.trace,
+      planningSteps: opts.planning, kappa: opts.kappa,
+      visits: opts.visits, stepSize: opts['step-size'],
+      beta: opts.beta, baseline: !opts['no-baseline'],
+      learningRate: opts.lr, targetUpdate: opts['target-update'],
+      tileCoding: opts['tile-coding'], tilings: opts.tilings, tiles: opts.tiles,
+      bins: opts.bins, edges: parseEdges(opts.edges), quantileEdges: opts.quantiles,
+      signalBins: opts['signal-bins'], wallBits: opts['wall-bits'],
+      channels: opts.channels === null ? null : opts.channels.split(','),
+    },
+    rng,
+  });
+
+  // Seed offset past the training maps, so --eval random is a map not trained on.
+  // Loaded up front so a layout the agent can't run on fails before training.
+  const evalTarget = opts.eval === null ? null : loadLayout(opts.eval, opts, opts.episodes);
+  if (evalTarget && agent.rows !== undefined) {
+    const rows = evalTarget.layout.length;
+    const cols = evalTarget.layout[0].length;
+    if (rows !== agent.rows || cols !== agent.cols) {
+      throw new Error(`${agent.name} learns positions on a ${agent.rows}x${agent.cols} grid, so it can't be ` +
+        `evaluated on the ${rows}x${cols} '${opts.eval}' layout. Use signalq, linearq, dqn or random, ` +
+        'or a layout of the same size.');
+    }
+  }
+
+  if (opts.format === 'csv') process.stdout.write(COLUMNS.join(',') + '\n');
+
+  let goals = 0;
+  for (let i = 0; i < opts.episodes; i++) {
+    if (opts.vary && i > 0) {
+      const next = loadLayout(opts.layout, opts, i);
+      env = new GridWorld(next.layout, next.start, envOptions);
+      if (agent.signalField) agent.signalField = new SignalField(env, fieldOptions);
+      if (agent instanceof TabularPlanner) {
+        agent.env = env;
+        agent.solve();
+      }
+    }
+
+    const ep = runEpisode(env, agent);
+    if (ep.outcome === 'goal') goals++;
+
+    const row = {
+      episode: i + 1,
+      steps: ep.steps,
+      reward: Number(ep.reward.toFixed(4)),
+      outcome: ep.outcome,
+      successRate: Number((goals / (i + 1)).toFixed(4)),
+    };
+    process.stdout.write(opts.format === 'csv'
+      ? COLUMNS.map(k => row[k]).join(',') + '\n'
+      : JSON.stringify(row) + '\n');
+  }
+
+  if (evalTarget) {
+    const evalEnv = new GridWorld(evalTarget.layout, evalTarget.start, envOptions);
+    const result = evaluateAgent(evalEnv, agent, opts['eval-episodes']);
+    process.stderr.write(
+      `eval ${opts.eval}: success ${result.successRate.toFixed(3)}, ` +
+      `goals ${result.goals}, pits ${result.pits}, timeouts ${result.timeouts}, ` +
+      `avg steps ${result.avgSteps.toFixed(1)}, avg reward ${result.avgReward.toFixed(3)}\n`);
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  process.stderr.write(`train.js: ${err.message}\n`);
+  process.exitCode = 1;
+}
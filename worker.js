@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * Training worker — runs batches of episodes off the main thread.
+ *
+ * The worker owns its own GridWorld, SignalField and agent, built from the
+ * plain data the page posts in. It trains in short time slices, yielding
+ * between them so a 'cancel' message can get through, and streams progress
+ * back. When it finishes (or is cancelled) it posts the agent's snapshot so
+ * the page can copy the learned table back into its own agent.
+ *
+ * Messages in:
+ *   { type: 'start', kind, params, snapshot, world, episodes, seed, generator }
+ *     kind      — agent key for createAgent ('qlearn', 'signalq', ...)
+ *     params    — agent hyperparameters
+ *     snapshot  — agent.snapshot() from the page, to continue training from
+ *     world     — { layout, start, options, signal }: GridWorld options
+ *                 and SignalField options
+ *     seed      — number, or null for Math.random
+ *     generator — generateLayout options to train on a new map each
+ *                 episode (seed + i), or null to stay on `world`
+ *   { type: 'cancel' }
+ *
+ * Messages out:
+ *   { type: 'progress', done, total, counts }
+ *     counts — { episodes, steps, reward, goals, pits, timeouts } for the
+ *              episodes since the previous progress message
+ *   { type: 'done', done, total, cancelled, snapshot, world, error }
+ *     world — the last { layout, start } trained on
+ *     error — why the batch stopped early (a map couldn't be generated),
+ *             or null; the episodes before it still count
+ *   { type: 'error', message }
+ */
+
+importScripts('rng.js', 'env.js', 'exploration.js', 'generator.js', 'planner.js', 'dqn.js', 'agent.js');
+
+const SLICE_MS = 50; // how long to train before yielding to the message queue
+
+let cancelled = false;
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === 'cancel') {
+    cancelled = true;
+  } else if (msg.type === 'start') {
+    cancelled = false;
+    try {
+      train(msg);
+    } catch (err) {
+      self.postMessage({ type: 'error', message: err.message });
+    }
+  }
+};
+
+function emptyCounts() {
+  return { episodes: 0, steps: 0, reward: 0, goals: 0, pits: 0, timeouts: 0 };
+}
+
+function train({ kind, params, snapshot, world, episodes, seed, generator }) {
+  const rng = seed === null ? Math.random : mulberry32(seed);
+  let env = new GridWorld(world.layout, world.start, { ...world.options, rng });
+  let signalField = new SignalField(env, world.signal);
+  const agent = createAgent(kind, { env, signalField, params, rng });
+  agent.restore(snapshot);
+
+  let done = 0;
+  let stopError = null;
+
+  const finish = () => {
+    self.postMessage({
+      type: 'done', done, total: episodes, cancelled,
+      snapshot: agent.snapshot(),
+      world: { layout: env.layout, start: env.startPos },
+      error: stopError,
+    });
+  };
+
+  const slice = () => {
+    try {
+      trainSlice();
+    } catch (err) {
+      self.postMessage({ type: 'error', message: err.message });
+    }
+  };
+
+  const trainSlice = () => {
+    if (cancelled) return finish();
+
+    const counts = emptyCounts();
+    const sliceEnd = Date.now() + SLICE_MS;
+
+    while (done < episodes && Date.now() < sliceEnd) {
+      if (generator) {
+        let generated;
+        try {
+          generated = generateLayout({ ...generator, seed: generator.seed + done });
+        } catch (err) {
+          stopError = err.message;
+          break;
+        }
+        const { layout, start } = generated;
+        env = new GridWorld(layout, start, { ...world.options, rng });
+        signalField = new SignalField(env, world.signal);
+        if (agent.signalField) agent.signalField = signalField;
+        if (agent instanceof TabularPlanner) {
+          agent.env = env;
+          agent.solve();
+        }
+      }
+
+      const ep = runEpisode(env, agent);
+      done++;
+      counts.episodes++;
+      counts.steps += ep.steps;
+      counts.reward += ep.reward;
+      if (ep.outcome === 'goal') counts.goals++;
+      else if (ep.outcome === 'pit') counts.pits++;
+      else counts.timeouts++;
+    }
+
+    self.postMessage({ type: 'progress', done, total: episodes, counts });
+
+    if (done >= episodes || stopError) return finish();
+    setTimeout(slice, 0); // let a 'cancel' message in before the next slice
+  };
+
+  slice();
+}